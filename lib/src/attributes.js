@@ -0,0 +1,34 @@
+// Simplest.js Attributes - Which props are HTML attributes, and how they are written
+// Shared by both engines so the two lists cannot drift apart.
+
+// Props set as HTML attributes rather than styles. aria-* and data-* keys are
+// always attributes, and anything else can go in an `attrs` bag.
+export const ATTRIBUTE_PROPS = new Set([
+  'id', 'className', 'title', 'role', 'tabIndex', 'name', 'for', 'htmlFor',
+  'lang', 'dir', 'hidden', 'draggable', 'href', 'target', 'rel', 'disabled',
+  'checked', 'readOnly', 'required', 'autoComplete', 'autoFocus', 'min', 'max',
+  'step', 'pattern', 'minLength', 'maxLength', 'multiple', 'accept', 'spellcheck',
+  'download'
+]);
+
+// Enumerated attributes spell out "true"/"false"; without the attribute the
+// element gets its default, which for draggable images and links is true
+const ENUMERATED_ATTRIBUTES = new Set(['draggable', 'spellcheck']);
+
+export const isAttributeProp = (key) => ATTRIBUTE_PROPS.has(key) || /^(aria|data)-/.test(key);
+
+export const toAttributeName = (key) => {
+  if (key === 'className') return 'class';
+  if (key === 'htmlFor') return 'for';
+  return /^(aria|data)-/.test(key) ? key : key.toLowerCase();
+};
+
+// The string to set for an attribute, or null to remove it
+export const toAttributeValue = (name, value) => {
+  // ARIA states are "true"/"false" too
+  if ((name.startsWith('aria-') || ENUMERATED_ATTRIBUTES.has(name)) && typeof value === 'boolean') {
+    return String(value);
+  }
+  if (value == null || value === false) return null;
+  return value === true ? '' : String(value);
+};
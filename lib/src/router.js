@@ -1,83 +1,813 @@
 // Simplest.js Router - Natural routing for single page applications
 
+import { scope, State, computed } from './state.js';
+import { simplest } from './simplest-v2.js';
+
+// Route patterns: static segments, `:param`, optional `:param?`, and a trailing
+// splat `*rest` (or bare `*`) that captures the remainder of the path.
+// Segments rank static > param > optional > splat, compared left to right over
+// the segments that took part of the path. On a tie the route that left no
+// optional or splat segment empty wins, so /files beats /files/*rest for /files.
+const SEGMENT_SCORE = { static: 4, param: 3, optional: 2, splat: 1 };
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+const joinPaths = (parent, child) => '/' + [...splitPath(parent), ...splitPath(child)].join('/');
+
+function compileRoute(path, handler, order, parent, options = {}) {
+  const segments = splitPath(path).map(segment => {
+    if (segment.startsWith('*')) return { type: 'splat', name: segment.slice(1) || '*' };
+    if (segment.startsWith(':') && segment.endsWith('?')) return { type: 'optional', name: segment.slice(1, -1) };
+    if (segment.startsWith(':')) return { type: 'param', name: segment.slice(1) };
+    return { type: 'static', value: segment };
+  });
+
+  const route = {
+    path,
+    handler,
+    order,
+    options, // beforeEnter, load, title, meta, focus, lazy, fallback
+    segments,
+    names: segments.filter(segment => segment.type !== 'static').map(segment => segment.name),
+    // Lazy handlers return a module promise, e.g. () => import('./page.js'). They are
+    // known once first rendered, or up front with { lazy: true } so links can prefetch.
+    lazy: !!options.lazy,
+    module: null, // cached promise for the lazy module
+    component: null // the lazy module's default export, once loaded
+  };
+  // Layouts from the outermost down to this route
+  route.chain = parent ? [...parent.chain, route] : [route];
+  return route;
+}
+
+// Returns { route, params, score, empty } when the route matches the path, otherwise
+// null. score lists the segments that took a part; empty counts those that did not.
+function matchRoute(route, path) {
+  const parts = splitPath(path).map(part => {
+    try {
+      return decodeURIComponent(part);
+    } catch {
+      return part;
+    }
+  });
+  const params = {};
+  const score = [];
+  let empty = 0;
+  let index = 0;
+
+  for (const segment of route.segments) {
+    if (segment.type === 'splat') {
+      params[segment.name] = parts.slice(index).join('/');
+      if (index < parts.length) score.push(SEGMENT_SCORE.splat);
+      else empty++;
+      return { route, params, score, empty };
+    }
+
+    const part = parts[index];
+    if (part === undefined) {
+      if (segment.type !== 'optional') return null;
+      empty++;
+      continue;
+    }
+    if (segment.type === 'static' && segment.value !== part) return null;
+    if (segment.type !== 'static') params[segment.name] = part;
+    score.push(SEGMENT_SCORE[segment.type]);
+    index++;
+  }
+
+  return index === parts.length ? { route, params, score, empty } : null;
+}
+
+// More specific matches first, then fewer empty segments, then deeper nesting;
+// definition order breaks ties
+function compareMatches(a, b) {
+  const length = Math.max(a.score.length, b.score.length);
+  for (let i = 0; i < length; i++) {
+    const difference = (b.score[i] || 0) - (a.score[i] || 0);
+    if (difference) return difference;
+  }
+  return (a.empty - b.empty) || (b.route.chain.length - a.route.chain.length) || (a.route.order - b.route.order);
+}
+
+// Continue with fn(value) right away, or once value settles when it is a promise,
+// so navigations with no async guards or loaders still render synchronously
+const after = (value, fn) => value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+
+// Redirect chains longer than this are treated as a loop
+const MAX_REDIRECTS = 10;
+
+// Repeated keys collect into arrays: ?tag=a&tag=b -> { tag: ['a', 'b'] }
+function parseQuery(search) {
+  const query = {};
+  new URLSearchParams(search).forEach((value, key) => {
+    if (!(key in query)) query[key] = value;
+    else query[key] = [].concat(query[key], value);
+  });
+  return query;
+}
+
+// Paths are resolved against a fixed origin, so routing never needs window.location
+const ORIGIN = 'http://router.local';
+const toURL = (path, from = '/') => new URL(path, new URL(from, ORIGIN));
+const fullPathOf = (url) => url.pathname + url.search + url.hash;
+
+const getEngine = () => globalThis.simplestEngine;
+
+// Leave clicks to the browser when they ask for something other than a plain
+// same-tab navigation: modified or non-primary clicks, other targets, downloads
+function isPlainClick(e, anchor) {
+  if (e.defaultPrevented || e.button !== 0) return false;
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return false;
+  const target = anchor.getAttribute('target');
+  if (target && target !== '_self') return false;
+  return !anchor.hasAttribute('download');
+}
+
+// History backends. Each reads the current path (with query and hash), writes
+// new entries and reports back/forward moves to a listener. Every entry gets a
+// key, which the router uses to remember its scroll position, and an index, so
+// a back/forward move the router cancels can be undone without adding entries.
+const createKey = () => Math.random().toString(36).slice(2, 10);
+const stateKey = () => window.history.state && window.history.state.key;
+
+// Browser and hash history keep { key, index } in history.state. Entries made
+// outside the router (the first page load, an in-page #anchor, a hash typed
+// into the address bar) are numbered when they are reached.
+function windowHistory(type, location, toHref, event) {
+  let index = window.history.state && window.history.state.index;
+  const claim = (next) => {
+    index = next;
+    window.history.replaceState({ key: stateKey() || createKey(), index }, '');
+  };
+  if (index === undefined) claim(0);
+  
+  return {
+    type,
+    location,
+    key: stateKey,
+    index: () => index,
+    push(path) {
+      index++;
+      window.history.pushState({ key: createKey(), index }, '', toHref(path));
+    },
+    replace: (path) => window.history.replaceState({ key: stateKey() || createKey(), index }, '', toHref(path)),
+    go: (delta) => window.history.go(delta),
+    listen(callback) {
+      const listener = () => {
+        const state = window.history.state;
+        if (state && state.index !== undefined) index = state.index;
+        else claim(index + 1);
+        callback();
+      };
+      window.addEventListener(event, listener);
+      return () => window.removeEventListener(event, listener);
+    }
+  };
+}
+
+// Real URLs via the History API; needs the server to serve the app on every path
+export function createBrowserHistory() {
+  return windowHistory('browser', () => fullPathOf(window.location), path => path, 'popstate');
+}
+
+// Routes live after the #, so static hosts without rewrite rules work
+export function createHashHistory() {
+  return windowHistory('hash', () => window.location.hash.slice(1) || '/', path => `#${path}`, 'hashchange');
+}
+
+// Entries kept in an array, for Node tests, iframes and embedded widgets
+export function createMemoryHistory(initialPath = '/') {
+  const entries = [initialPath];
+  const keys = [createKey()];
+  const listeners = new Set();
+  let index = 0;
+
+  return {
+    type: 'memory',
+    entries,
+    location: () => entries[index],
+    key: () => keys[index],
+    index: () => index,
+    push(path) {
+      entries.splice(index + 1, entries.length, path);
+      keys.splice(index + 1, keys.length, createKey());
+      index = entries.length - 1;
+    },
+    replace(path) {
+      entries[index] = path;
+    },
+    listen(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    go(delta) {
+      const next = Math.min(Math.max(index + delta, 0), entries.length - 1);
+      if (next === index) return;
+      index = next;
+      listeners.forEach(callback => callback());
+    },
+    back() {
+      this.go(-1);
+    },
+    forward() {
+      this.go(1);
+    }
+  };
+}
+
+const HISTORY_BACKENDS = {
+  browser: createBrowserHistory,
+  hash: createHashHistory,
+  memory: createMemoryHistory
+};
+
 class SimplestRouter {
   constructor() {
-    this.routes = new Map();
+    this.routes = new Map(); // pattern -> compiled route
     this.currentRoute = null;
     this.rootElement = null;
     this.initialized = false;
+    this.startQueued = false; // the first route() queues the first render
+    this.listening = false;
+    this.levels = []; // rendered layouts, outermost first: { route, params, scope, outlet }
+    this.pendingOutlet = null;
+    this.guards = [];
+    this.afterHooks = [];
+    this.navigationId = 0; // a newer navigation supersedes any still in flight
+    this.pending = new State(false); // true while guards or loaders are running
+    this.history = null; // created on first use unless configure() picked one
+    this.base = ''; // e.g. '/site' when the app is served from a subdirectory
+    this.location = new State(null); // the rendered route's { path, params, query, hash }
+    this.scroll = true; // restore scroll per history entry, scroll to #anchors
+    this.focusTarget = 'h1'; // focused after navigating, or false
+    this.scrollPositions = new Map(); // history entry key -> { x, y }
+    this.entryKey = null; // key of the rendered entry
+    this.entryIndex = null; // history index of the rendered entry
+    this.baseTitle = null; // document.title before any route set one
+    this.metaTags = new Map(); // name -> { element, original } for tags routes have set
+    this.fallback = null; // rendered while a lazy route's module loads
+  }
+  
+  // Choose the history backend ('browser', 'hash', 'memory' or a history object)
+  // and the base path. Call before defining routes.
+  configure(options = {}) {
+    if (options.history) {
+      if (this.unlisten) this.unlisten();
+      this.listening = false;
+      this.history = typeof options.history === 'string' ? HISTORY_BACKENDS[options.history]() : options.history;
+    }
+    if (options.base !== undefined) {
+      this.base = splitPath(options.base).length ? joinPaths(options.base, '') : '';
+    }
+    if (options.scroll !== undefined) this.scroll = options.scroll;
+    if (options.focus !== undefined) this.focusTarget = options.focus;
+    if (options.fallback !== undefined) this.fallback = options.fallback;
+    return this;
+  }
+  
+  // Defaults to browser history, or memory history where there is no window
+  _history() {
+    if (!this.history) {
+      this.history = typeof window !== 'undefined' ? createBrowserHistory() : createMemoryHistory();
+    }
+    return this.history;
+  }
+  
+  // Listeners are bound on first use, so importing the router needs no DOM
+  _listen() {
+    if (this.listening) return;
+    this.listening = true;
     
-    // Bind to popstate for browser back/forward
-    window.addEventListener('popstate', () => {
-      this._handleRoute();
+    // Back/forward
+    this.unlisten = this._history().listen(() => {
+      // Undoing a cancelled back/forward lands on the entry already rendered
+      if (this.entryIndex !== null && this._history().index() === this.entryIndex) return;
+      this._transition(this._location(), 'pop');
     });
     
-    // Intercept link clicks
+    // The router puts the scroll position back itself, once the page has rendered
+    if (this._history().type !== 'memory' && this.scroll) {
+      window.history.scrollRestoration = 'manual';
+    }
+    
+    // Intercept clicks on plain links, including clicks on an icon or span inside one
+    if (this._history().type !== 'browser') return;
     document.addEventListener('click', (e) => {
-      if (e.target.tagName === 'A' && e.target.href.startsWith(window.location.origin)) {
-        const path = new URL(e.target.href).pathname;
-        if (this.routes.has(path)) {
-          e.preventDefault();
-          this.navigate(path);
-        }
+      const anchor = e.target.closest && e.target.closest('a[href]');
+      if (!anchor || !isPlainClick(e, anchor) || anchor.origin !== window.location.origin) return;
+      
+      const path = this._stripBase(anchor.pathname);
+      if (path !== null && this.match(path)) {
+        e.preventDefault();
+        this._navigate(path + anchor.search + anchor.hash, 'push', false);
       }
     });
   }
   
-  // Define a route
-  route(path, handler) {
-    this.routes.set(path, handler);
+  // App path for a path under the base, or null when it is outside it
+  _stripBase(path) {
+    if (!this.base) return path;
+    if (path === this.base) return '/';
+    return path.startsWith(`${this.base}/`) ? path.slice(this.base.length) : null;
+  }
+  
+  // The current entry as a URL relative to the base
+  _location() {
+    const url = toURL(this._history().location());
+    const path = this._stripBase(url.pathname);
+    // Paths outside the base are not ours; treat them as not found
+    return toURL((path === null ? '/404' : path) + url.search + url.hash);
+  }
+  
+  _write(mode, fullPath) {
+    const path = this.base + fullPath;
+    if (mode === 'push') this._history().push(path);
+    if (mode === 'replace') this._history().replace(path);
+  }
+  
+  // Define a route. Handlers receive { params, query, hash }.
+  // Nested routes go in options.children as { path: handler } or
+  // { path: { handler, children } }; the parent renders them into its outlet().
+  route(path, handler, options = {}) {
+    this._addRoute(path, handler, options, null);
+    this._listen();
     
-    // If this is the current path and we haven't rendered yet, render it
-    if (!this.initialized && window.location.pathname === path) {
-      this._handleRoute();
-      this.initialized = true;
+    // Render the current path once the routes defined alongside this one are in,
+    // so the best match comes from the whole table
+    if (!this.initialized && !this.startQueued && typeof window !== 'undefined') {
+      this.startQueued = true;
+      queueMicrotask(() => {
+        this.startQueued = false;
+        if (!this.initialized && this._resolve(this._location())) this.start();
+      });
     }
     
     return this;
   }
   
-  // Navigate to a route
-  navigate(path) {
-    if (this.routes.has(path)) {
-      window.history.pushState(null, '', path);
-      this._handleRoute();
-    } else {
+  // Guards run before every navigation as guard(to, from). Return false to cancel,
+  // a path to redirect, or nothing to continue; promises are awaited.
+  beforeEach(guard) {
+    this.guards.push(guard);
+    return () => this.guards.splice(this.guards.indexOf(guard) >>> 0, 1);
+  }
+  
+  // Hooks run after a navigation has rendered, as hook(to, from)
+  afterEach(hook) {
+    this.afterHooks.push(hook);
+    return () => this.afterHooks.splice(this.afterHooks.indexOf(hook) >>> 0, 1);
+  }
+  
+  // An index child ('/' or '') shares its parent's path and replaces the parent in
+  // the table, so the parent only renders as that child's layout
+  _addRoute(path, handler, options, parent) {
+    const fullPath = parent ? joinPaths(parent.path, path) : path;
+    const route = compileRoute(fullPath, handler, this.routes.size, parent, options);
+    this.routes.set(fullPath, route);
+    
+    Object.entries(options.children || {}).forEach(([childPath, child]) => {
+      const { handler: childHandler, ...childOptions } = typeof child === 'function' ? { handler: child } : child;
+      this._addRoute(childPath, childHandler, childOptions, route);
+    });
+    
+    return route;
+  }
+  
+  // Find the most specific route for a pathname
+  match(pathname) {
+    let best = null;
+    this.routes.forEach(route => {
+      const match = matchRoute(route, pathname);
+      if (match && (!best || compareMatches(match, best) < 0)) best = match;
+    });
+    return best && { route: best.route, params: best.params };
+  }
+  
+  // Navigate to a route; the path may include a query string and hash.
+  // Resolves to true once the route has rendered, or false when a guard cancelled
+  // it or a newer navigation replaced it. Rejects when a loader or lazy import fails.
+  navigate(path, options = {}) {
+    return this._navigate(path, options.replace ? 'replace' : 'push', true);
+  }
+  
+  // Link clicks pass rethrow = false: nobody holds their promise, so a failure is
+  // reported instead of becoming an unhandled rejection
+  _navigate(path, mode, rethrow) {
+    this._listen();
+    
+    const url = toURL(path, this.current ? this.current.path : '/');
+    if (!this._resolve(url)) {
       console.warn(`No route defined for ${path}`);
+      return Promise.resolve(false);
     }
+    return new Promise(resolve => resolve(this._transition(url, mode, 0, rethrow)));
   }
   
-  // Handle route changes
-  _handleRoute() {
-    const path = window.location.pathname;
-    const handler = this.routes.get(path);
+  // Start loading the lazy modules a path needs, ahead of navigating to it
+  prefetch(path) {
+    const to = this._resolve(toURL(path, this.current ? this.current.path : '/'));
+    if (!to) return Promise.resolve();
     
-    if (handler) {
-      this.currentRoute = path;
-      
-      // Clear the root element
-      if (!this.rootElement) {
-        // Find or create root element
-        this.rootElement = document.getElementById('app') || document.body;
+    const lazy = to.matched.chain.filter(route => route.lazy && !route.component);
+    return Promise.all(lazy.map(route => this._loadModule(route)));
+  }
+  
+  _loadModule(route, promise) {
+    if (!route.module) {
+      route.module = Promise.resolve(promise || route.handler()).then(module => {
+        // A module's default export renders the page, as does a function a route
+        // marked lazy resolves to. Anything else came from an async handler that
+        // rendered the page itself: resolve to null and call it again next time.
+        const component = module && typeof module.default === 'function' ? module.default
+          : route.options.lazy && typeof module === 'function' ? module : null;
+        if (!component && route.options.lazy) {
+          throw new Error(`Lazy route ${route.path} did not resolve to a module with a default export`);
+        }
+        if (!component) {
+          route.module = null;
+          return null;
+        }
+        route.component = component;
+        route.lazy = true;
+        return component;
+      }).catch(error => {
+        route.module = null; // let the next navigation try again
+        throw error;
+      });
+    }
+    return route.module;
+  }
+  
+  // Describe the route a URL leads to. Unmatched paths fall back to a '/404'
+  // route ('*' routes already match everything).
+  _resolve(url) {
+    const matched = this.match(url.pathname) || (this.routes.has('/404') ? { route: this.routes.get('/404'), params: {} } : null);
+    if (!matched) return null;
+    
+    return {
+      path: url.pathname,
+      fullPath: fullPathOf(url),
+      route: matched.route.path,
+      params: matched.params,
+      query: parseQuery(url.search),
+      hash: url.hash.slice(1),
+      matched: matched.route
+    };
+  }
+  
+  // Run guards, load data, render and update history. mode is 'push' or 'replace'
+  // for navigate(), 'pop' when the browser already moved, 'initial' for the first render.
+  // A guard, loader or lazy import that fails ends the navigation with the old page
+  // and URL in place; the error is rethrown when asked, otherwise reported.
+  _transition(url, mode, redirects = 0, rethrow = false) {
+    const to = this._resolve(url);
+    if (!to) return false;
+    
+    const id = ++this.navigationId;
+    const from = this.current || null;
+    const superseded = () => id !== this.navigationId;
+    const done = (result) => {
+      if (!superseded()) this.pending.value = false;
+      return result;
+    };
+    // Set once the new route starts replacing the page: the levels it tears down
+    // and their data, to render the old route again if it fails partway
+    let replaced = null;
+    const fail = (error) => {
+      if (!superseded()) {
+        this.pending.value = false;
+        if (replaced && from) this._render(from, replaced.keep, replaced.data, superseded);
+        if (mode === 'pop') this._undoPop();
+      }
+      if (rethrow) throw error;
+      console.error(`Navigation to ${to.fullPath} failed`, error);
+      return false;
+    };
+    
+    this.pending.value = true;
+    const guards = [...this.guards, ...to.matched.chain.map(route => route.options.beforeEnter).filter(Boolean)];
+    
+    let result;
+    try {
+      result = after(this._runGuards(guards, to, from), outcome => {
+        if (superseded()) return false;
+        
+        if (typeof outcome === 'string') {
+          if (redirects >= MAX_REDIRECTS) {
+            console.warn(`Too many redirects navigating to ${to.fullPath}`);
+            return done(false);
+          }
+          // The redirect replaces an entry the browser or first render already made
+          const redirectMode = mode === 'push' ? 'push' : 'replace';
+          return this._transition(toURL(outcome, to.path), redirectMode, redirects + 1, rethrow);
+        }
+        
+        if (outcome === false) {
+          if (mode === 'pop') this._undoPop();
+          return done(false);
+        }
+        
+        // Only levels that will re-render load their data
+        const keep = this._keptLevels(to);
+        const loads = to.matched.chain.map((route, index) =>
+          index >= keep && route.options.load ? route.options.load(to) : undefined
+        );
+        const data = loads.some(load => load && typeof load.then === 'function') ? Promise.all(loads) : loads;
+        
+        return after(data, resolved => {
+          if (superseded()) return false;
+          
+          replaced = { keep, data: this.levels.map(level => level.data) };
+          return after(this._render(to, keep, resolved, superseded), () => {
+            if (superseded()) return false;
+            
+            // The URL changes once the page is in, so a failed loader or lazy
+            // import leaves it alone
+            this._write(mode, to.fullPath);
+            this._afterRender(to, keep, mode);
+            this.afterHooks.forEach(hook => hook(to, from));
+            return done(true);
+          });
+        });
+      });
+    } catch (error) {
+      return fail(error);
+    }
+    return result && typeof result.then === 'function' ? result.catch(fail) : result;
+  }
+  
+  // Back/forward already moved the URL away from the rendered entry: move it back
+  // without adding an entry. Histories that cannot tell their position get the
+  // rendered path written over the entry instead.
+  _undoPop() {
+    if (!this.current) return;
+    const history = this._history();
+    if (this.entryIndex === null || !history.go) {
+      this._write('replace', this.current.fullPath);
+      return;
+    }
+    const delta = this.entryIndex - history.index();
+    if (delta) history.go(delta);
+  }
+  
+  // Guards run in order until one returns something other than true or undefined
+  _runGuards(guards, to, from, index = 0) {
+    if (index === guards.length) return true;
+    
+    return after(guards[index](to, from), result => {
+      if (result === undefined || result === true) return this._runGuards(guards, to, from, index + 1);
+      return result;
+    });
+  }
+  
+  // How many of the current levels the new route shares (same layout, same params)
+  _keptLevels(to) {
+    const chain = to.matched.chain;
+    let keep = 0;
+    while (keep < chain.length && keep < this.levels.length && this._sameLevel(this.levels[keep], chain[keep], to.params)) {
+      keep++;
+    }
+    // Navigating to the same route again re-renders its innermost level
+    if (keep === chain.length && keep === this.levels.length) keep--;
+    return keep;
+  }
+  
+  // Layouts shared with the previous route stay mounted; only the levels from
+  // the first changed one down are torn down and re-rendered.
+  _render(to, keep, data, superseded) {
+    this.currentRoute = to.path;
+    this.current = to;
+    const { matched, ...location } = to;
+    this.location.value = location;
+    
+    if (!this.rootElement && typeof document !== 'undefined') {
+      // Find or create root element
+      this.rootElement = document.getElementById('app') || document.body;
+    }
+    
+    // Remember where the page we are leaving was scrolled to
+    if (this.entryKey && typeof window !== 'undefined') {
+      this.scrollPositions.set(this.entryKey, { x: window.scrollX, y: window.scrollY });
+    }
+    
+    return this._renderLevels(to, keep, data, superseded);
+  }
+  
+  // Returns a promise when a level's handler returned one. A lazy level renders
+  // again, with the levels below it, once its module has loaded; an async handler
+  // keeps what it rendered and the levels below it render once it settles.
+  _renderLevels(to, keep, data, superseded) {
+    // Tear down the replaced levels' subscriptions and effects, release listeners
+    // attached through props, then clear their container
+    this._disposeLevels(keep);
+    this._clear(keep ? this.levels[keep - 1].outlet : this.rootElement);
+    
+    const chain = to.matched.chain;
+    for (let i = keep; i < chain.length; i++) {
+      const parent = this.levels[i - 1];
+      if (parent && !parent.outlet) {
+        console.warn(`Route ${parent.route.path} has nested routes but never calls outlet()`);
+        break;
       }
       
-      // Clear existing content
-      this.rootElement.innerHTML = '';
-      
-      // Reset context stack if using simplest
-      if (window.simplestEngine) {
-        window.simplestEngine.contextStack = [this.rootElement];
+      const loading = this._renderLevel(chain[i], parent ? parent.outlet : this.rootElement, parent && parent.scope, data[i]);
+      if (loading) {
+        return loading.then(component => superseded() ? undefined : this._renderLevels(to, component ? i : i + 1, data, superseded));
       }
+    }
+  }
+  
+  _sameLevel(level, route, params) {
+    return level.route === route && route.names.every(name => level.params[name] === params[name]);
+  }
+  
+  // Run a level's handler into its container, in a scope nested in its layout's.
+  // The handler receives the route context plus the data its load() resolved to.
+  _renderLevel(route, container, parentScope, data) {
+    // Reset context stack if using simplest
+    const engine = getEngine();
+    if (engine && container) {
+      engine.contextStack = [container];
+    }
+    
+    this.pendingOutlet = null;
+    const { matched, ...context } = this.current;
+    const props = { ...context, data };
+    let loading = null;
+    
+    const render = () => scope(() => {
+      if (route.component) return route.component(props);
       
-      // Execute the route handler
-      handler();
-    } else {
-      // Try to find a default or 404 route
-      const notFoundHandler = this.routes.get('*') || this.routes.get('/404');
-      if (notFoundHandler) {
-        notFoundHandler();
+      const result = (route.lazy && route.module) || route.handler(props);
+      if (result && typeof result.then === 'function') {
+        loading = this._loadModule(route, result);
+        // An async handler that is not known to be lazy may be rendering the page
+        const fallback = route.lazy && (route.options.fallback || this.fallback);
+        if (fallback) fallback(props);
       }
+    });
+    const levelScope = parentScope ? parentScope.run(render) : render();
+    
+    this.levels.push({ route, params: context.params, data, scope: levelScope, outlet: this.pendingOutlet });
+    this.pendingOutlet = null;
+    return loading;
+  }
+  
+  // Update the title and meta tags, then put the viewport and focus where a reader
+  // expects them: the saved position on back/forward, the #anchor, or the top
+  _afterRender(to, keep, mode) {
+    const history = this._history();
+    this.entryKey = (history.key && history.key()) || to.fullPath;
+    this.entryIndex = history.index ? history.index() : null;
+    if (typeof document === 'undefined') return;
+    
+    this._updateHead();
+    if (history.type === 'memory') return;
+    
+    if (this.scroll) {
+      const saved = this.scrollPositions.get(this.entryKey);
+      const anchor = to.hash && document.getElementById(to.hash);
+      if (mode === 'pop' && saved) window.scrollTo(saved.x, saved.y);
+      else if (anchor) anchor.scrollIntoView();
+      else if (mode !== 'initial') window.scrollTo(0, 0);
     }
+    
+    // Move focus to the new content so screen readers announce it
+    if (mode !== 'initial') this._focus(keep);
+  }
+  
+  // The deepest level's title wins; meta tags merge from the outermost layout down.
+  // Both take a value or a function of the route context and the level's data.
+  _updateHead() {
+    const context = this.location.value;
+    const resolve = (value, level) => typeof value === 'function' ? value({ ...context, data: level.data }) : value;
+    let title = null;
+    const meta = {};
+    
+    this.levels.forEach(level => {
+      const options = level.route.options;
+      if (options.title) title = resolve(options.title, level);
+      if (options.meta) Object.assign(meta, resolve(options.meta, level));
+    });
+    
+    if (this.baseTitle === null) this.baseTitle = document.title;
+    document.title = title == null ? this.baseTitle : title;
+    
+    // Tags the previous route set and this one doesn't go back to how the page had them
+    this.metaTags.forEach(({ element, original }, name) => {
+      if (name in meta) return;
+      if (original === null) element.remove();
+      else element.setAttribute('content', original);
+      this.metaTags.delete(name);
+    });
+    
+    Object.keys(meta).forEach(name => {
+      const attribute = name.startsWith('og:') ? 'property' : 'name';
+      if (!this.metaTags.has(name)) {
+        let element = document.head.querySelector(`meta[${attribute}="${name}"]`);
+        const original = element ? element.getAttribute('content') : null;
+        if (!element) {
+          element = document.createElement('meta');
+          element.setAttribute(attribute, name);
+          document.head.appendChild(element);
+        }
+        this.metaTags.set(name, { element, original });
+      }
+      this.metaTags.get(name).element.setAttribute('content', meta[name]);
+    });
+  }
+  
+  // Focus the configured target (a route's `focus` option, else the router's),
+  // looking in the content that was just rendered first
+  _focus(keep) {
+    const level = [...this.levels].reverse().find(level => level.route.options.focus !== undefined);
+    const selector = level ? level.route.options.focus : this.focusTarget;
+    if (!selector) return;
+    
+    const container = keep ? this.levels[keep - 1].outlet : this.rootElement;
+    const target = (container && container.querySelector(selector)) || document.querySelector(selector);
+    if (!target) return;
+    
+    // Headings aren't focusable by default
+    if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+    target.focus({ preventScroll: true });
+  }
+  
+  _disposeLevels(from) {
+    this.levels.splice(from).reverse().forEach(level => level.scope.dispose());
+  }
+  
+  _clear(container) {
+    if (!container) return;
+    const engine = getEngine();
+    if (engine) {
+      engine.cleanup(container);
+    }
+    container.innerHTML = '';
+  }
+  
+  // The href a route path gets under the current backend and base
+  href(to) {
+    const path = this.base + to;
+    return this._history().type === 'hash' ? `#${path}` : path;
+  }
+  
+  // True when the current path is `to` or, unless exact, below it
+  isActive(to, exact = false) {
+    const current = this.location.value;
+    const path = current ? current.path : this._location().pathname;
+    const target = toURL(to).pathname;
+    if (path === target) return true;
+    return !exact && path.startsWith(target.endsWith('/') ? target : `${target}/`);
+  }
+  
+  // An <a> that navigates through the router. activeProps are merged over props
+  // while the link matches the current route, and aria-current is set.
+  link(text, to, props = {}) {
+    const { activeProps = {}, exact = false, replace = false, prefetch = false, ...linkProps } = props;
+    const active = computed(() => this.isActive(to, exact));
+    
+    Object.keys(activeProps).forEach(key => {
+      const inactive = props[key];
+      linkProps[key] = computed(() => active.value ? activeProps[key] : inactive);
+    });
+    
+    // The link's own listeners run after any the caller passed for the same event
+    const callerListener = (key, e) => {
+      const listener = props[key];
+      if (listener) typeof listener === 'function' ? listener(e) : listener.handler(e);
+    };
+    
+    // Lazy pages start loading as soon as the pointer or focus reaches the link
+    if (prefetch) {
+      ['onMouseEnter', 'onFocus'].forEach(key => {
+        linkProps[key] = (e) => {
+          callerListener(key, e);
+          // A failed prefetch is retried by the navigation itself
+          this.prefetch(to).catch(() => {});
+        };
+      });
+    }
+    
+    return simplest._createElement('a', text, {
+      ...linkProps,
+      href: this.href(to),
+      'aria-current': computed(() => active.value ? 'page' : null),
+      onClick: (e) => {
+        callerListener('onClick', e);
+        if (!isPlainClick(e, e.currentTarget) || !this._resolve(toURL(to))) return;
+        e.preventDefault();
+        this._navigate(to, replace ? 'replace' : 'push', false);
+      }
+    });
+  }
+  
+  // Called from a layout: marks where its child routes render
+  outlet() {
+    const engine = getEngine();
+    const element = engine ? engine.div({ display: 'contents' }) : document.createElement('div');
+    this.pendingOutlet = element;
+    return element;
   }
   
   // Set the root element for rendering
@@ -88,7 +818,8 @@ class SimplestRouter {
   
   // Start the router
   start() {
-    this._handleRoute();
+    this._listen();
+    this._transition(this._location(), 'initial');
     this.initialized = true;
     return this;
   }
@@ -98,10 +829,15 @@ class SimplestRouter {
 const router = new SimplestRouter();
 
 // Export functions
-export const route = (path, handler) => router.route(path, handler);
-export const navigate = (path) => router.navigate(path);
+export const route = (path, handler, options) => router.route(path, handler, options);
+export const navigate = (path, options) => router.navigate(path, options);
+export const beforeEach = (guard) => router.beforeEach(guard);
+export const afterEach = (hook) => router.afterEach(hook);
 export const setRoot = (element) => router.setRoot(element);
+export const outlet = () => router.outlet();
+export const link = (text, to, props) => router.link(text, to, props);
 export const startRouter = () => router.start();
+export const configureRouter = (options) => router.configure(options);
 
 // Also export the router instance for advanced usage
 export { router };
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Simplest.js Server Rendering - Render component trees to HTML strings in Node
+// A tiny string-building document stands in for the DOM while components run,
+// so no jsdom or browser globals are needed.
+
+import { simplest } from './simplest-v2.js';
+import { createStyle, BASE_STYLES } from './styles.js';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Element properties the engine assigns directly, mirrored to attributes
+const REFLECTED_PROPERTIES = ['id', 'placeholder', 'type', 'value', 'src', 'alt', 'href', 'title'];
+
+const escapeText = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = (value) => escapeText(value).replace(/"/g, '&quot;');
+
+class ServerNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+}
+
+class ServerText extends ServerNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+
+  toString() {
+    return escapeText(this.textContent);
+  }
+}
+
+class ServerComment extends ServerNode {
+  constructor(text) {
+    super(8);
+    this.textContent = text;
+  }
+
+  toString() {
+    return `<!--${this.textContent}-->`;
+  }
+}
+
+class ServerElement extends ServerNode {
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.style = createStyle();
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    child.remove();
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) this.childNodes.push(child);
+    else this.childNodes.splice(index, 0, child);
+    child.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) this.childNodes.splice(index, 1);
+    child.parentNode = null;
+    return child;
+  }
+
+  // Server output has no events
+  addEventListener() {}
+  removeEventListener() {}
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  querySelectorAll() {
+    return this.children.flatMap(child => [child, ...child.querySelectorAll()]);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(text) {
+    this.childNodes.forEach(node => { node.parentNode = null; });
+    this.childNodes = [];
+    if (text !== '' && text != null) this.appendChild(new ServerText(String(text)));
+  }
+
+  // Adjacent text nodes get an empty comment between them so the browser keeps them
+  // apart and hydration can claim each one
+  get innerHTML() {
+    return this.childNodes.map((node, index) => {
+      const previous = this.childNodes[index - 1];
+      return previous && previous.nodeType === 3 && node.nodeType === 3 ? `<!---->${node}` : String(node);
+    }).join('');
+  }
+
+  get outerHTML() {
+    const tag = this.tagName.toLowerCase();
+    const attributes = new Map(this.attributes);
+    const css = this.style.cssText;
+    if (css) attributes.set('style', css);
+
+    const attrs = Array.from(attributes, ([name, value]) =>
+      value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`
+    ).join('');
+
+    if (VOID_ELEMENTS.has(tag)) return `<${tag}${attrs}>`;
+    return `<${tag}${attrs}>${this.innerHTML}</${tag}>`;
+  }
+
+  toString() {
+    return this.outerHTML;
+  }
+}
+
+REFLECTED_PROPERTIES.forEach(name => {
+  Object.defineProperty(ServerElement.prototype, name, {
+    get() { return this.getAttribute(name) || ''; },
+    set(value) { this.setAttribute(name, value); }
+  });
+});
+
+Object.defineProperty(ServerElement.prototype, 'className', {
+  get() { return this.getAttribute('class') || ''; },
+  set(value) { this.setAttribute('class', value); }
+});
+
+class ServerDocument {
+  constructor() {
+    this.readyState = 'complete';
+    this.head = new ServerElement('head');
+    this.body = new ServerElement('body');
+  }
+
+  createElement(tagName) {
+    return new ServerElement(tagName);
+  }
+
+  createTextNode(text) {
+    return new ServerText(String(text));
+  }
+
+  createComment(text) {
+    return new ServerComment(String(text));
+  }
+}
+
+// Run a component function and return the HTML it produces.
+// Styles are serialized inline; event handlers are left out.
+export function renderToString(fn) {
+  return simplest._renderWith(new ServerDocument(), fn).innerHTML;
+}
+
+// The base styles (fadeIn keyframes, body reset), the theme variables if theme() was
+// called, and the rules generated for class-mode and state styles so far, as <style>
+// tags for the page head. The client finds them by id and does not add them again.
+export function renderStyles() {
+  const base = { id: 'simplest-styles', nonce: simplest.nonce, cssText: BASE_STYLES };
+  const sheets = simplest.themeSheet.rules.size > 0 ? [base, simplest.themeSheet, simplest.sheet] : [base, simplest.sheet];
+  return sheets.map(({ id, nonce, cssText }) => {
+    const nonceAttribute = nonce ? ` nonce="${escapeAttribute(nonce)}"` : '';
+    // A '</' inside a value would end the tag early; '\/' is the same character to CSS
+    return `<style id="${id}"${nonceAttribute}>${cssText.replace(/<\//g, '<\\/')}</style>`;
+  }).join('');
+}
@@ -1,18 +1,301 @@
 // Simplest.js v2 - Static Singleton Implementation
-// The singleton instantiates at module load and manages everything internally
+// The singleton instantiates at module load and manages everything internally.
+// Nothing touches the DOM until the first element is created, so importing is safe in Node.
+
+import { State, ComputedState, scope } from './state.js';
+import { isAttributeProp, toAttributeName, toAttributeValue } from './attributes.js';
+import { createStyle, hash, isCssProperty, toKebab, StyleSheet, BASE_STYLES, DEFAULT_TOKENS, mergeTokens, themeRules, tokenVar } from './styles.js';
+
+// State and ComputedState values render their current value and stay bound to it
+const isReactive = (value) => value instanceof State || value instanceof ComputedState;
+
+// Duck-typed so it works where HTMLElement is not defined
+const isNode = (value) => value != null && typeof value === 'object' && typeof value.nodeType === 'number';
+
+// A props object, as opposed to a child passed in its place
+const isProps = (value) => typeof value === 'object' && value !== null && !isNode(value) && !isReactive(value);
+
+// Shorthand keywords handled explicitly by _applyStyles, plus creator options
+// that are not CSS. Every other CSS property name is passed through.
+const SHORTHAND_PROPS = new Set([
+  'row', 'col', 'center', 'between', 'gap', 'full', 'width', 'height',
+  'pad', 'margin', 'bg', 'color', 'rounded', 'shadow', 'border',
+  'bold', 'italic', 'size', 'strike', 'small', 'gray', 'fadeIn', 'hover',
+  'focus', 'focusVisible', 'active', 'primary', 'ghost', 'placeholder', 'type', 'value',
+  'alt', 'round', 'cover', 'container'
+]);
+
+// Style objects for interaction states, compiled to rules on the element's
+// generated class. Later entries win, so a disabled element shows no hover;
+// hover is limited to devices that can hover so taps don't leave it stuck on.
+const STATE_STYLES = [
+  { key: 'hover', selectors: [':hover'], media: '@media (hover: hover)' },
+  { key: 'focus', selectors: [':focus'] },
+  { key: 'focusVisible', selectors: [':focus-visible'] },
+  { key: 'active', selectors: [':active'] },
+  { key: 'disabled', selectors: [':disabled', '[aria-disabled="true"]'] }
+];
+
+// disabled is also an attribute: an object is its style, anything else the attribute
+const isStateStyle = (key, value) => STATE_STYLES.some(state => state.key === key) && isProps(value);
+
+// Minimum widths for breakpoint props, smallest first so larger ones win.
+// md: {...} applies from that viewport width, '@md': {...} from that container width.
+const BREAKPOINTS = { sm: 640, md: 768, lg: 1024, xl: 1280 };
+
+// A configured scale in any order, sorted smallest first; em and rem count as 16px
+const byMinWidth = (breakpoints) => {
+  const toPixels = (width) => typeof width === 'number' ? width : parseFloat(width) * (/r?em$/.test(width) ? 16 : 1);
+  return Object.fromEntries(Object.entries(breakpoints).sort(([, a], [, b]) => toPixels(a) - toPixels(b)));
+};
+
+// Numeric values get px unless the property is unitless
+const UNITLESS_PROPS = new Set([
+  'zIndex', 'opacity', 'flex', 'flexGrow', 'flexShrink', 'order', 'lineHeight',
+  'fontWeight', 'zoom', 'scale', 'aspectRatio', 'columnCount', 'orphans', 'widows',
+  'tabSize', 'animationIterationCount', 'gridRow', 'gridRowStart', 'gridRowEnd',
+  'gridColumn', 'gridColumnStart', 'gridColumnEnd', 'fillOpacity', 'strokeOpacity'
+]);
+
+// onClick -> click, onKeyDown -> keydown; onEnter is input's own shortcut
+const isEventProp = (key) => /^on[A-Z]/.test(key) && key !== 'onEnter';
+const EVENT_ALIASES = { doubleclick: 'dblclick' };
+
+const toEventName = (key) => {
+  const name = key.slice(2).toLowerCase();
+  return EVENT_ALIASES[name] || name;
+};
+
+const toCssValue = (key, value) => {
+  return typeof value === 'number' && !UNITLESS_PROPS.has(key) ? `${value}px` : String(value);
+};
+
+// pad/margin accept a number, a [vertical, horizontal] or four-sided array, or a CSS
+// string; resolve maps each part, e.g. a spacing token name to its value
+const toSpacing = (value, resolve = v => v) => {
+  const toLength = (v) => {
+    const resolved = resolve(v);
+    return typeof resolved === 'number' ? `${resolved}px` : resolved;
+  };
+  return Array.isArray(value) ? value.map(toLength).join(' ') : toLength(value);
+};
+
+// CSS properties whose values can name a theme token
+const tokenGroupOf = (key) => {
+  if (/Color$/.test(key) || key === 'fill' || key === 'stroke') return 'colors';
+  if (/^(padding|margin)/.test(key) || /^(gap|rowGap|columnGap)$/.test(key)) return 'space';
+  if (/Radius$/.test(key)) return 'radii';
+  if (key === 'boxShadow') return 'shadows';
+  if (key === 'fontFamily') return 'fonts';
+  return null;
+};
 
 class SimplestEngine {
   constructor() {
     this.contextStack = [];
     this.ready = false;
     this.queue = [];
+    this.listeners = new WeakMap(); // element -> listeners attached through props
+    this.initialized = false;
+    this.serverDocument = null; // set while rendering to a string, see server.js
+    this.hydration = null; // parent -> next unclaimed child while hydrating
+    this.dev = false; // configure({ dev: true }) reports hydration mismatches
+    this.components = new Set(); // live components with a root element to watch
+    this.mountObserver = null;
+    this.styleMode = 'inline'; // or 'class': style props compile to shared generated classes
+    this.nonce = null; // CSP nonce for the <style> elements the engine creates
+    this.sheet = new StyleSheet('simplest-classes');
+    this.styleClasses = new WeakMap(); // element -> its generated class
+    this.breakpoints = BREAKPOINTS;
+    this.tokens = DEFAULT_TOKENS;
+    this.themed = false; // token names resolve to custom properties once theme() is called
+    this.themeSheet = new StyleSheet('simplest-theme');
+  }
+  
+  // Engine options, set before rendering:
+  // styles: 'inline' | 'class', nonce: CSP nonce for injected <style> elements,
+  // dev: report hydration mismatches
+  configure(options = {}) {
+    if (options.styles !== undefined) this.styleMode = options.styles;
+    if (options.dev !== undefined) this.dev = options.dev;
+    if (options.breakpoints !== undefined) this.breakpoints = byMinWidth(options.breakpoints);
+    if (options.nonce !== undefined) {
+      this.nonce = options.nonce;
+      this.sheet.nonce = options.nonce;
+      this.themeSheet.nonce = options.nonce;
+    }
+    return this;
+  }
+  
+  // Define design tokens as CSS custom properties. Groups are merged over the
+  // defaults, and dark holds overrides for dark mode. Call before rendering so
+  // elements reference the variables; calling again updates them in place.
+  theme(tokens = {}) {
+    this.tokens = mergeTokens(DEFAULT_TOKENS, tokens);
+    this.themed = true;
+    const doc = typeof document === 'undefined' ? null : document;
+    this.themeSheet.clear(doc);
+    this.themeSheet.insert('theme', themeRules(this.tokens), doc);
+    return this;
+  }
+  
+  // 'light' or 'dark' pins the mode and 'system' follows the OS preference. Only the
+  // variables change, so nothing re-renders.
+  themeMode(mode) {
+    if (typeof document === 'undefined') return;
+    
+    if (mode === 'system') document.documentElement.removeAttribute('data-theme');
+    else document.documentElement.setAttribute('data-theme', mode);
+  }
+  
+  // A token name becomes its custom property once a theme is defined, and its
+  // default value before; any other value is returned as given
+  _token(group, value) {
+    if (typeof value !== 'string' || !Object.prototype.hasOwnProperty.call(this.tokens[group], value)) return value;
+    return this.themed ? tokenVar(group, value) : this.tokens[group][value];
+  }
+  
+  // The document elements are created in: the real one, or a server backend
+  get doc() {
+    return this.serverDocument || document;
+  }
+  
+  // Run fn against a string-building document instead of the DOM.
+  // Events and state subscriptions are skipped; values render as they are now.
+  _renderWith(serverDocument, fn) {
+    const previous = { stack: this.contextStack, ready: this.ready };
+    this.serverDocument = serverDocument;
+    this.contextStack = [serverDocument.body];
+    this.ready = true;
+    let render = null;
+    
+    try {
+      // Anything subscribed while rendering (lists, conditionals) is released afterwards
+      render = scope(fn);
+    } finally {
+      if (render) render.dispose();
+      this.serverDocument = null;
+      this.contextStack = previous.stack;
+      this.ready = previous.ready;
+    }
+    
+    return serverDocument.body;
+  }
+  
+  // Adopt server-rendered markup under root instead of re-creating it. fn runs as
+  // usual, but elements and text are claimed from the existing DOM in creation order
+  // and only get their event handlers and state subscriptions attached.
+  hydrate(root, fn) {
+    return this._execute(() => {
+      const previous = this.contextStack;
+      this.hydration = new Map([[root, root.firstChild]]);
+      this.contextStack = [root];
+      
+      try {
+        fn();
+        if (this.dev) this._reportUnclaimed();
+      } finally {
+        this.hydration = null;
+        this.contextStack = previous;
+      }
+      
+      return root;
+    });
+  }
+  
+  // Next node to claim under parent, skipping text separators and formatting whitespace
+  _nextUnclaimed(parent, forText) {
+    let node = this.hydration.has(parent) ? this.hydration.get(parent) : parent.firstChild;
+    while (node && (node.nodeType === 8 || (!forText && node.nodeType === 3 && !node.textContent.trim()))) {
+      node = node.nextSibling;
+    }
+    return node;
+  }
+  
+  _mismatch(expected, found, parent) {
+    if (!this.dev) return;
+    const description = !found ? 'nothing'
+      : found.nodeType === 3 ? `text "${found.textContent}"`
+      : `<${found.tagName.toLowerCase()}>`;
+    console.warn(`Hydration mismatch: expected ${expected} but found ${description}`, parent);
+  }
+  
+  _reportUnclaimed() {
+    this.hydration.forEach((node, parent) => {
+      for (let next = this._nextUnclaimed(parent, false); next; next = this._nextUnclaimed(parent, false)) {
+        this._mismatch('no more nodes', next, parent);
+        this.hydration.set(parent, next.nextSibling);
+      }
+    });
+  }
+  
+  // Create an element, or claim the matching server-rendered one while hydrating
+  _element(tag) {
+    if (!this.hydration) return this.doc.createElement(tag);
+    
+    const parent = this.currentContext;
+    const node = this._nextUnclaimed(parent, false);
+    if (node && node.nodeType === 1 && node.tagName.toLowerCase() === tag) {
+      this.hydration.set(parent, node.nextSibling);
+      return node;
+    }
+    
+    this._mismatch(`<${tag}>`, node, parent);
+    const el = this.doc.createElement(tag);
+    parent.insertBefore(el, node);
+    this.hydration.set(parent, node);
+    return el;
+  }
+  
+  // Append a text node, or claim the server-rendered one while hydrating
+  _text(parent, text) {
+    if (!this.hydration) return parent.appendChild(this.doc.createTextNode(text));
     
-    // Initialize immediately
-    this._init();
+    const node = this._nextUnclaimed(parent, true);
+    if (node && node.nodeType === 3) {
+      this.hydration.set(parent, node.nextSibling);
+      if (node.textContent !== text) {
+        this._mismatch(`text "${text}"`, node, parent);
+        node.textContent = text;
+      }
+      return node;
+    }
+    
+    // Empty strings produce no markup, so there is nothing to claim
+    if (text !== '') this._mismatch(`text "${text}"`, node, parent);
+    const created = this.doc.createTextNode(text);
+    parent.insertBefore(created, node);
+    this.hydration.set(parent, node);
+    return created;
+  }
+  
+  // Insert a node at the current context position. Claimed nodes are already in
+  // place; new ones created while hydrating go before the next unclaimed node.
+  mount(node) {
+    const parent = this.currentContext;
+    if (!this.hydration) return parent.appendChild(node);
+    if (node.parentNode) return node;
+    
+    const next = this.hydration.has(parent) ? this.hydration.get(parent) : parent.firstChild;
+    return parent.insertBefore(node, next);
   }
   
+  // Run fn with element as the context new elements are added to
+  withContext(element, fn) {
+    this.contextStack.push(element);
+    try {
+      return fn();
+    } finally {
+      this.contextStack.pop();
+    }
+  }
+  
+  // Deferred until first use so the module can be imported without a DOM
   _init() {
-    if (typeof document === 'undefined') return; // Node.js safety
+    if (this.initialized || typeof document === 'undefined') return;
+    this.initialized = true;
+    
+    this._injectStyles();
     
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
@@ -24,16 +307,29 @@ class SimplestEngine {
     }
   }
   
+  // Add CSS animations once
+  _injectStyles() {
+    if (document.getElementById('simplest-styles')) return;
+    
+    const style = document.createElement('style');
+    style.id = 'simplest-styles';
+    if (this.nonce) style.setAttribute('nonce', this.nonce);
+    style.textContent = BASE_STYLES;
+    document.head.appendChild(style);
+  }
+  
   _flushQueue() {
     this.queue.forEach(fn => fn());
     this.queue = [];
   }
   
   get currentContext() {
-    return this.contextStack[this.contextStack.length - 1] || document.body;
+    return this.contextStack[this.contextStack.length - 1] || this.doc.body;
   }
   
   _execute(fn) {
+    if (!this.serverDocument) this._init();
+    
     if (this.ready) {
       return fn();
     } else {
@@ -44,35 +340,240 @@ class SimplestEngine {
   
   _createElement(tag, content, props = {}) {
     return this._execute(() => {
-      const el = document.createElement(tag);
+      const el = this._element(tag);
       
       // Handle content
-      if (typeof content === 'string') {
-        el.textContent = content;
-      } else if (content instanceof HTMLElement) {
-        el.appendChild(content);
-      } else if (Array.isArray(content)) {
-        content.forEach(child => {
-          if (typeof child === 'string') {
-            el.appendChild(document.createTextNode(child));
-          } else if (child instanceof HTMLElement) {
-            el.appendChild(child);
-          }
-        });
+      if (Array.isArray(content)) {
+        content.forEach(child => this._appendChild(el, child));
+      } else {
+        this._appendChild(el, content);
       }
       
-      // Apply styles
+      // Apply attributes, events and styles
+      this._applyAttributes(el, props);
+      this._applyEvents(el, props);
       this._applyStyles(el, props);
       
       // Add to current context
-      this.currentContext.appendChild(el);
+      this.mount(el);
       
       return el;
     });
   }
   
-  _applyStyles(element, props = {}) {
+  _appendChild(parent, child) {
+    if (typeof child === 'string') {
+      this._text(parent, child);
+    } else if (isReactive(child)) {
+      this._bindText(parent, child);
+    } else if (isNode(child) && child.parentNode !== parent) {
+      parent.appendChild(child);
+    }
+  }
+  
+  _bindText(parent, source) {
+    const text = (value) => value == null ? '' : String(value);
+    const node = this._text(parent, text(source.peek()));
+    
+    if (!this.serverDocument) {
+      source.subscribe(value => { node.textContent = text(value); });
+    }
+    
+    return node;
+  }
+  
+  // Apply a reactive style prop now and re-apply only that prop on change,
+  // clearing whatever its previous value had set
+  _bindStyleProp(element, key, source) {
     const style = element.style;
+    let applied = [];
+    
+    const apply = (value) => {
+      applied.forEach(name => style.removeProperty(name));
+      const before = new Map(Array.from(style, name => [name, style.getPropertyValue(name)]));
+      this._writeStyles(style, { [key]: value });
+      applied = Array.from(style).filter(name => before.get(name) !== style.getPropertyValue(name));
+      
+      // Server markup already carries these declarations, so nothing changed above;
+      // learn which properties the prop writes from a detached element instead
+      if (this.hydration) {
+        const probe = this.doc.createElement(element.tagName);
+        this._writeStyles(probe.style, { [key]: value });
+        applied = [...new Set([...applied, ...Array.from(probe.style)])];
+      }
+    };
+    
+    if (this.serverDocument) {
+      this._writeStyles(style, { [key]: source.peek() });
+      return;
+    }
+    
+    apply(source.peek());
+    source.subscribe(apply);
+  }
+  
+  _setAttribute(element, name, value) {
+    if (isReactive(value)) {
+      this._setAttribute(element, name, value.peek());
+      if (!this.serverDocument) value.subscribe(next => this._setAttribute(element, name, next));
+    } else if (name === 'class' && this.styleClasses.has(element)) {
+      // Keep the generated style class when the class attribute is rewritten
+      const classes = typeof value === 'string' ? value : '';
+      element.setAttribute('class', `${classes} ${this.styleClasses.get(element)}`.trim());
+    } else {
+      const attribute = toAttributeValue(name, value);
+      if (attribute === null) element.removeAttribute(name);
+      else element.setAttribute(name, attribute);
+    }
+  }
+  
+  // Compile declaration blocks to a class named after their hash, inserting the
+  // rules into the managed sheet the first time they are seen. The first block is
+  // the element's own; the rest add a selector suffix and an optional at-rule.
+  _styleClass(blocks) {
+    const [base, ...rest] = blocks;
+    const key = base.css + rest.map(block => `${block.media || ''}${block.selectors}{${block.css}}`).join('');
+    if (!key) return null;
+    
+    const name = `s-${hash(key)}`;
+    const rules = blocks.filter(block => block.css).map(block => {
+      const rule = `${block.selectors.map(suffix => `.${name}${suffix}`).join(', ')} { ${block.css} }`;
+      return block.media ? `${block.media} { ${rule} }` : rule;
+    });
+    this.sheet.insert(name, rules, this.serverDocument ? null : this.doc);
+    return name;
+  }
+  
+  // Breakpoint and state styles need rules of their own
+  _hasScopedStyles(props) {
+    return Object.keys(props).some(key => isStateStyle(key, props[key]) || this._isBreakpointStyle(key, props[key]));
+  }
+  
+  // md: {...} or '@md': {...} for a breakpoint in the configured scale
+  _isBreakpointStyle(key, value) {
+    const name = key.startsWith('@') ? key.slice(1) : key;
+    return Object.prototype.hasOwnProperty.call(this.breakpoints, name) && isProps(value);
+  }
+  
+  // The element's static props, then its breakpoints in scale order, then one block
+  // per state style. Reactive props are inline, so these rules get !important to
+  // still show over them.
+  _styleBlocks(props, important) {
+    const blocks = [{ selectors: [''], css: this._declarations(props) }];
+    ['@media', '@container'].forEach(rule => {
+      Object.keys(this.breakpoints).forEach(name => {
+        const value = props[rule === '@media' ? name : `@${name}`];
+        if (!isProps(value)) return;
+        const media = `${rule} (min-width: ${toCssValue('minWidth', this.breakpoints[name])})`;
+        blocks.push({ selectors: [''], media, css: this._declarations(value, important) });
+      });
+    });
+    STATE_STYLES.forEach(({ key, selectors, media }) => {
+      if (isStateStyle(key, props[key])) blocks.push({ selectors, media, css: this._declarations(props[key], important) });
+    });
+    return blocks;
+  }
+  
+  _declarations(props, important = false) {
+    const style = createStyle();
+    this._writeStyles(style, props);
+    if (!important) return style.cssText;
+    return Array.from(style, name => `${name}: ${style.getPropertyValue(name)} !important;`).join(' ');
+  }
+  
+  _addStyleClass(element, name) {
+    if (!name) return;
+    
+    const classes = (element.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+    if (!classes.includes(name)) element.setAttribute('class', [...classes, name].join(' '));
+    this.styleClasses.set(element, name);
+  }
+  
+  _applyAttributes(element, props = {}) {
+    Object.keys(props).forEach(key => {
+      if (isAttributeProp(key) && !isStateStyle(key, props[key])) this._setAttribute(element, toAttributeName(key), props[key]);
+    });
+    
+    const attrs = props.attrs || {};
+    Object.keys(attrs).forEach(key => {
+      this._setAttribute(element, toAttributeName(key), attrs[key]);
+    });
+  }
+  
+  _listen(element, type, listener, options) {
+    if (this.serverDocument) return; // no events in server output
+    
+    element.addEventListener(type, listener, options);
+    
+    if (!this.listeners.has(element)) this.listeners.set(element, []);
+    this.listeners.get(element).push({ type, listener, options });
+  }
+  
+  // Event props take a function, or an object with modifiers:
+  // onSubmit: { handler, prevent: true, stop, once, passive, capture }
+  _applyEvents(element, props = {}) {
+    Object.keys(props).forEach(key => {
+      if (!isEventProp(key) || !props[key]) return;
+      
+      const value = props[key];
+      const { handler, prevent, stop, once, passive, capture } =
+        typeof value === 'function' ? { handler: value } : value;
+      
+      this._listen(element, toEventName(key), (e) => {
+        if (prevent) e.preventDefault();
+        if (stop) e.stopPropagation();
+        return handler(e);
+      }, { once: !!once, passive: !!passive, capture: !!capture });
+    });
+  }
+  
+  // Remove every listener attached through props from an element and its descendants.
+  // Call before detaching nodes the engine created.
+  cleanup(root) {
+    if (!root) return;
+    
+    const elements = root.querySelectorAll ? [root, ...root.querySelectorAll('*')] : [root];
+    elements.forEach(el => {
+      const attached = this.listeners.get(el);
+      if (!attached) return;
+      attached.forEach(({ type, listener, options }) => el.removeEventListener(type, listener, options));
+      this.listeners.delete(el);
+    });
+  }
+  
+  _applyStyles(element, props = {}) {
+    // Reactive props are bound individually after the static ones
+    const original = props;
+    const reactiveKeys = Object.keys(props).filter(key => isReactive(props[key]));
+    if (reactiveKeys.length > 0) {
+      props = { ...props };
+      reactiveKeys.forEach(key => delete props[key]);
+    }
+    
+    // In class mode static props become one shared class; reactive ones stay inline
+    // since they change per element. Breakpoint and state styles need real rules, so
+    // an element with any is compiled to a class in inline mode too (inline base
+    // styles would otherwise win over them).
+    if (this.styleMode === 'class' || this._hasScopedStyles(props)) {
+      this._addStyleClass(element, this._styleClass(this._styleBlocks(props, reactiveKeys.length > 0)));
+    } else {
+      this._writeStyles(element.style, props);
+    }
+    
+    reactiveKeys.forEach(key => this._bindStyleProp(element, key, original[key]));
+  }
+  
+  // Write the declarations for static style props to a style object: an element's
+  // style, or a recorder whose cssText becomes a generated class
+  _writeStyles(style, props) {
+    // Plain CSS properties first so the shorthands below take priority
+    Object.keys(props).forEach(key => {
+      const value = props[key];
+      if (SHORTHAND_PROPS.has(key) || isAttributeProp(key) || !isCssProperty(key)) return;
+      if (value == null || value === false || typeof value === 'object' || typeof value === 'function') return;
+      const group = tokenGroupOf(key);
+      style.setProperty(toKebab(key), toCssValue(key, group ? this._token(group, value) : value));
+    });
     
     // Layout
     if (props.row) {
@@ -92,7 +593,12 @@ class SimplestEngine {
       }
     }
     if (props.between) style.justifyContent = 'space-between';
-    if (props.gap) style.gap = `${props.gap}px`;
+    
+    // Container for '@md' style props on descendants; a string also names it
+    if (props.container) {
+      style.setProperty('container', props.container === true ? 'inline-size' : `${props.container} / inline-size`);
+    }
+    if (props.gap) style.gap = toCssValue('gap', this._token('space', props.gap));
     
     // Sizing
     if (props.full) {
@@ -107,32 +613,24 @@ class SimplestEngine {
     }
     
     // Spacing
-    if (props.pad) {
-      if (Array.isArray(props.pad)) {
-        style.padding = `${props.pad[0]}px ${props.pad[1]}px`;
-      } else {
-        style.padding = `${props.pad}px`;
-      }
-    }
-    if (props.margin) {
-      if (Array.isArray(props.margin)) {
-        style.margin = `${props.margin[0]}px ${props.margin[1]}px`;
-      } else {
-        style.margin = `${props.margin}px`;
-      }
-    }
+    const space = (value) => this._token('space', value);
+    if (props.pad != null && props.pad !== false) style.padding = toSpacing(props.pad, space);
+    if (props.margin != null && props.margin !== false) style.margin = toSpacing(props.margin, space);
     
     // Visual
-    if (props.bg) style.background = props.bg;
-    if (props.color) style.color = props.color;
+    if (props.bg) style.background = this._token('colors', props.bg);
+    if (props.color) style.color = this._token('colors', props.color);
     if (props.rounded) {
-      style.borderRadius = props.rounded === true ? '8px' : `${props.rounded}px`;
+      style.borderRadius = toCssValue('borderRadius', this._token('radii', props.rounded === true ? 'md' : props.rounded));
     }
-    if (props.shadow) style.boxShadow = '0 2px 8px rgba(0,0,0,0.1)';
+    if (props.shadow) style.boxShadow = this._token('shadows', typeof props.shadow === 'string' ? props.shadow : 'md');
     if (props.border) {
-      style.border = typeof props.border === 'boolean' 
-        ? '1px solid #ddd' 
-        : `1px solid ${props.border}`;
+      // A bare color gets the default width and style; full declarations like '2px solid red' or 'none' pass through
+      if (typeof props.border === 'boolean') {
+        style.border = `1px solid ${this.themed ? tokenVar('colors', 'border') : '#ddd'}`;
+      } else {
+        style.border = /\s|^none$/.test(props.border) ? props.border : `1px solid ${this._token('colors', props.border)}`;
+      }
     }
     
     // Text
@@ -141,13 +639,10 @@ class SimplestEngine {
     if (props.size) style.fontSize = `${props.size}px`;
     if (props.strike) style.textDecoration = 'line-through';
     if (props.small) style.fontSize = '0.875rem';
-    if (props.gray) style.color = '#666';
+    if (props.gray) style.color = this._token('colors', 'muted');
     
     // Interactive
-    if (props.onClick) {
-      element.addEventListener('click', props.onClick);
-      style.cursor = 'pointer';
-    }
+    if (props.onClick) style.cursor = 'pointer';
     
     // Animation
     if (props.fadeIn) {
@@ -156,27 +651,96 @@ class SimplestEngine {
     }
     
     // Hover effects
-    if (props.hover) {
-      style.transition = 'all 0.2s ease';
+    if (props.hover) style.transition = 'all 0.2s ease';
+  }
+  
+  // Define a reusable component. render(props, { children, onMount, onUnmount }) runs
+  // in its own scope with defaults merged under props; children() renders whatever
+  // was passed after props at the current position. The hooks fire when the
+  // returned root element enters or leaves the document.
+  component(render, defaults = {}) {
+    return (props, ...children) => {
+      // Like div(), props can be left out
+      if (!isProps(props)) {
+        children.unshift(props);
+        props = {};
+      }
       
-      const originalStyles = {
-        bg: props.bg,
-        color: props.color,
-        scale: 1
+      const instance = { root: null, owner: null, mounted: false, mountHooks: [], unmountHooks: [], mountCleanups: [] };
+      const api = {
+        children: () => children.forEach(child => {
+          if (typeof child === 'function') child();
+          else this._appendChild(this.currentContext, child);
+        }),
+        onMount: (fn) => instance.mountHooks.push(fn),
+        onUnmount: (fn) => instance.unmountHooks.push(fn)
       };
       
-      element.addEventListener('mouseenter', () => {
-        if (props.hover.bg) style.background = props.hover.bg;
-        if (props.hover.color) style.color = props.hover.color;
-        if (props.hover.scale) style.transform = `scale(${props.hover.scale})`;
+      instance.owner = scope(() => {
+        const root = render({ ...defaults, ...props }, api);
+        instance.root = isNode(root) ? root : null;
       });
       
-      element.addEventListener('mouseleave', () => {
-        if (originalStyles.bg) style.background = originalStyles.bg;
-        if (originalStyles.color) style.color = originalStyles.color;
-        style.transform = `scale(1)`;
-      });
+      if (!this.serverDocument) this._trackComponent(instance);
+      return instance.root;
+    };
+  }
+  
+  // Hooks follow the root element into and out of the document. The document is
+  // watched while some live component has a root; disposing the component's scope
+  // (its route, list row or conditional going away) unmounts it too.
+  _trackComponent(instance) {
+    instance.owner.add(() => {
+      this.components.delete(instance);
+      this._unmountComponent(instance);
+    });
+    
+    // Components without a root element count as mounted right away
+    if (!instance.root) {
+      queueMicrotask(() => this._mountComponent(instance));
+      return;
+    }
+    
+    this.components.add(instance);
+    if (!this.mountObserver && typeof MutationObserver !== 'undefined') {
+      this.mountObserver = new MutationObserver(() => this._checkComponents());
+      this.mountObserver.observe(this.doc, { childList: true, subtree: true });
     }
+    
+    // After the current render, in case the root is already in the document
+    queueMicrotask(() => this._checkComponents());
+  }
+  
+  _checkComponents() {
+    this.components.forEach(instance => {
+      if (instance.root.isConnected && !instance.mounted) this._mountComponent(instance);
+      else if (!instance.root.isConnected && instance.mounted) this._unmountComponent(instance);
+    });
+    
+    if (this.components.size === 0 && this.mountObserver) {
+      this.mountObserver.disconnect();
+      this.mountObserver = null;
+    }
+  }
+  
+  _mountComponent(instance) {
+    if (instance.mounted || instance.owner.disposed) return;
+    instance.mounted = true;
+    instance.mountHooks.forEach(hook => {
+      const cleanup = hook(instance.root);
+      if (typeof cleanup === 'function') instance.mountCleanups.push(cleanup);
+    });
+  }
+  
+  _unmountComponent(instance) {
+    if (!instance.mounted) return;
+    instance.mounted = false;
+    
+    // Cleanups returned by onMount hooks belong to this mount only
+    const cleanups = instance.mountCleanups;
+    instance.mountCleanups = [];
+    cleanups.forEach(cleanup => cleanup());
+    instance.unmountHooks.forEach(hook => hook(instance.root));
   }
   
   // Public API methods
@@ -198,29 +762,25 @@ class SimplestEngine {
   
   div(props, ...children) {
     return this._execute(() => {
-      const el = document.createElement('div');
+      const el = this._element('div');
+      this._applyAttributes(el, props);
+      this._applyEvents(el, props);
       this._applyStyles(el, props);
       
       // FIRST: Add div to parent context so it exists in DOM
-      this.currentContext.appendChild(el);
+      this.mount(el);
       
-      // THEN: Push this div as context for children
-      this.contextStack.push(el);
-      
-      // Process children in this context
-      children.forEach(child => {
-        if (typeof child === 'function') {
-          child(); // Execute function in this context
-        } else if (typeof child === 'string') {
-          el.appendChild(document.createTextNode(child));
-        } else if (child instanceof HTMLElement) {
-          el.appendChild(child);
-        }
+      // THEN: Process children with this div as their context
+      this.withContext(el, () => {
+        children.forEach(child => {
+          if (typeof child === 'function') {
+            child(); // Execute function in this context
+          } else {
+            this._appendChild(el, child);
+          }
+        });
       });
       
-      // Pop context when done
-      this.contextStack.pop();
-      
       return el;
     });
   }
@@ -234,18 +794,18 @@ class SimplestEngine {
       ...props
     };
     
-    // Default styles based on type
+    // Default styles based on type, as theme token names
     if (props.primary) {
-      buttonProps.bg = buttonProps.bg || '#007bff';
-      buttonProps.color = buttonProps.color || 'white';
+      buttonProps.bg = buttonProps.bg || 'primary';
+      buttonProps.color = buttonProps.color || 'onPrimary';
     } else if (props.ghost) {
       buttonProps.bg = 'transparent';
-      buttonProps.border = buttonProps.border || '2px solid #007bff';
-      buttonProps.color = buttonProps.color || '#007bff';
+      buttonProps.border = buttonProps.border || `2px solid ${this._token('colors', 'primary')}`;
+      buttonProps.color = buttonProps.color || 'primary';
     } else {
-      buttonProps.bg = buttonProps.bg || '#f8f9fa';
-      buttonProps.border = buttonProps.border || '1px solid #dee2e6';
-      buttonProps.color = buttonProps.color || '#212529';
+      buttonProps.bg = buttonProps.bg || 'surface';
+      buttonProps.border = buttonProps.border || `1px solid ${this._token('colors', 'border')}`;
+      buttonProps.color = buttonProps.color || 'text';
     }
     
     return this._createElement('button', text, buttonProps);
@@ -253,7 +813,7 @@ class SimplestEngine {
   
   input(props = {}) {
     return this._execute(() => {
-      const el = document.createElement('input');
+      const el = this._element('input');
       
       if (props.placeholder) el.placeholder = props.placeholder;
       if (props.type) el.type = props.type;
@@ -261,20 +821,22 @@ class SimplestEngine {
       
       const inputProps = {
         pad: props.size === 'large' ? [12, 16] : props.size === 'small' ? [6, 8] : [8, 12],
-        border: '1px solid #ddd',
+        border: true,
         rounded: 4,
         ...props
       };
       
       // Handle onEnter
       if (props.onEnter) {
-        el.addEventListener('keydown', (e) => {
+        this._listen(el, 'keydown', (e) => {
           if (e.key === 'Enter') {
             props.onEnter(el.value);
           }
         });
       }
       
+      this._applyAttributes(el, inputProps);
+      this._applyEvents(el, inputProps);
       this._applyStyles(el, inputProps);
       
       // Add clear method
@@ -283,7 +845,7 @@ class SimplestEngine {
         return el;
       };
       
-      this.currentContext.appendChild(el);
+      this.mount(el);
       
       return el;
     });
@@ -291,7 +853,7 @@ class SimplestEngine {
   
   img(src, props = {}) {
     return this._execute(() => {
-      const el = document.createElement('img');
+      const el = this._element('img');
       el.src = src;
       if (props.alt) el.alt = props.alt;
       
@@ -310,8 +872,10 @@ class SimplestEngine {
         el.style.objectFit = 'cover';
       }
       
+      this._applyAttributes(el, imgProps);
+      this._applyEvents(el, imgProps);
       this._applyStyles(el, imgProps);
-      this.currentContext.appendChild(el);
+      this.mount(el);
       
       return el;
     });
@@ -321,28 +885,9 @@ class SimplestEngine {
 // Create the singleton instance
 const engine = new SimplestEngine();
 
-// Make engine globally accessible for components
-if (typeof window !== 'undefined') {
-  window.simplestEngine = engine;
-}
-
-// Add CSS animations once
-if (typeof document !== 'undefined' && !document.getElementById('simplest-styles')) {
-  const style = document.createElement('style');
-  style.id = 'simplest-styles';
-  style.textContent = `
-    @keyframes simplestkeyframe_fadeIn {
-      from { opacity: 0; transform: translateY(10px); }
-      to { opacity: 1; transform: translateY(0); }
-    }
-    
-    body {
-      margin: 0;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    }
-  `;
-  document.head.appendChild(style);
-}
+// Make engine globally accessible for components and state.js
+// (globalThis is window in browsers, and also works during server rendering)
+globalThis.simplestEngine = engine;
 
 // Export pre-bound functions - these are what users import
 export const h1 = (text, props) => engine.h1(text, props);
@@ -352,15 +897,21 @@ export const p = (text, props) => engine.p(text, props);
 export const button = (text, props) => engine.button(text, props);
 export const input = (props) => engine.input(props);
 export const img = (src, props) => engine.img(src, props);
+export const hydrate = (root, fn) => engine.hydrate(root, fn);
 
 // Special handling for div to allow both syntax styles
 export const div = (props, ...children) => {
   // If props is not an object, treat it as a child
-  if (typeof props !== 'object' || props === null || props instanceof HTMLElement) {
+  if (!isProps(props)) {
     return engine.div({}, props, ...children);
   }
   return engine.div(props, ...children);
 };
 
+export const component = (render, defaults) => engine.component(render, defaults);
+export const configure = (options) => engine.configure(options);
+export const theme = (tokens) => engine.theme(tokens);
+export const themeMode = (mode) => engine.themeMode(mode);
+
 // Also export the engine for advanced users
 export const simplest = engine;
\ No newline at end of file
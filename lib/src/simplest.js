@@ -1,6 +1,8 @@
 // Simplest.js - Natural Web Development
 // The library that works exactly as designed
 
+import { isAttributeProp, toAttributeName, toAttributeValue } from './attributes.js'
+
 // Auto-detect when DOM is ready and start accepting elements
 let isReady = false
 let elementQueue = []
@@ -19,6 +21,21 @@ function waitForReady(fn) {
     }
 }
 
+// Readiness tracking and style injection start with the first element,
+// so the module can be imported without a DOM
+let initialized = false
+
+function isDomReady() {
+    if (!initialized) {
+        initialized = true
+        waitForReady(() => {
+            // DOM is ready, elements will now auto-append
+        })
+        injectStyles()
+    }
+    return isReady
+}
+
 // Current container context (starts with body)
 let currentContainer = null
 
@@ -37,6 +54,21 @@ function withContainer(container, fn) {
     return result
 }
 
+function setAttribute(element, name, value) {
+    const attribute = toAttributeValue(name, value)
+    if (attribute === null) element.removeAttribute(name)
+    else element.setAttribute(name, attribute)
+}
+
+function applyAttributes(element, props = {}) {
+    Object.keys(props).forEach(key => {
+        if (isAttributeProp(key)) setAttribute(element, toAttributeName(key), props[key])
+    })
+    
+    const attrs = props.attrs || {}
+    Object.keys(attrs).forEach(key => setAttribute(element, toAttributeName(key), attrs[key]))
+}
+
 // Style application - same as before but cleaner
 function applyStyles(element, props = {}) {
     const style = element.style
@@ -137,8 +169,9 @@ function applyStyles(element, props = {}) {
         })
         
         element.addEventListener('mouseleave', () => {
-            if (props.hover.bg && props.bg) element.style.background = props.bg
-            if (props.hover.color && props.color) element.style.color = props.color
+            // Fall back to no inline value so an element without a base bg/color doesn't keep the hover one
+            if (props.hover.bg) element.style.background = props.bg || ''
+            if (props.hover.color) element.style.color = props.color || ''
             if (props.hover.scale) element.style.transform = 'scale(1)'
         })
     }
@@ -148,11 +181,12 @@ function applyStyles(element, props = {}) {
 export function h1(text, props) {
     const element = document.createElement('h1')
     element.textContent = text
+    applyAttributes(element, props)
     applyStyles(element, props)
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -164,11 +198,12 @@ export function h1(text, props) {
 export function h2(text, props) {
     const element = document.createElement('h2')
     element.textContent = text
+    applyAttributes(element, props)
     applyStyles(element, props)
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -180,11 +215,12 @@ export function h2(text, props) {
 export function h3(text, props) {
     const element = document.createElement('h3')
     element.textContent = text
+    applyAttributes(element, props)
     applyStyles(element, props)
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -196,11 +232,12 @@ export function h3(text, props) {
 export function p(text, props) {
     const element = document.createElement('p')
     element.textContent = text
+    applyAttributes(element, props)
     applyStyles(element, props)
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -211,6 +248,7 @@ export function p(text, props) {
 
 export function div(props, ...children) {
     const element = document.createElement('div')
+    applyAttributes(element, props)
     applyStyles(element, props)
     
     // Handle children with proper context
@@ -230,7 +268,7 @@ export function div(props, ...children) {
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -265,11 +303,12 @@ export function button(text, props = {}) {
         buttonProps.color = '#212529'
     }
     
+    applyAttributes(element, buttonProps)
     applyStyles(element, buttonProps)
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -301,6 +340,7 @@ export function input(props = {}) {
         })
     }
     
+    applyAttributes(element, inputProps)
     applyStyles(element, inputProps)
     
     // Add clear method
@@ -311,7 +351,7 @@ export function input(props = {}) {
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -340,11 +380,12 @@ export function img(src, props = {}) {
         element.style.objectFit = 'cover'
     }
     
+    applyAttributes(element, imgProps)
     applyStyles(element, imgProps)
     
     const addToDOM = () => getCurrentContainer().appendChild(element)
     
-    if (isReady) {
+    if (isDomReady()) {
         addToDOM()
     } else {
         elementQueue.push(addToDOM)
@@ -353,22 +394,19 @@ export function img(src, props = {}) {
     return element
 }
 
-// Initialize the auto-rendering system
-waitForReady(() => {
-    // DOM is ready, elements will now auto-append
-})
-
 // Add CSS animations
-const style = document.createElement('style')
-style.textContent = `
-    @keyframes fadeIn {
-        from { opacity: 0; transform: translateY(10px); }
-        to { opacity: 1; transform: translateY(0); }
-    }
-    
-    body {
-        margin: 0;
-        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-    }
-`
-document.head.appendChild(style)
\ No newline at end of file
+function injectStyles() {
+    const style = document.createElement('style')
+    style.textContent = `
+        @keyframes fadeIn {
+            from { opacity: 0; transform: translateY(10px); }
+            to { opacity: 1; transform: translateY(0); }
+        }
+        
+        body {
+            margin: 0;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
+    `
+    document.head.appendChild(style)
+}
\ No newline at end of file
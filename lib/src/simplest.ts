@@ -53,11 +53,13 @@ type AnimationProps = {
   duration?: number
 }
 
-// Context stack for nested rendering
-let contextStack: HTMLElement[] = [document.body]
+// Context stack for nested rendering (falls back to document.body).
+// Nothing touches the DOM at import time, so the module loads in Node.
+let contextStack: HTMLElement[] = []
 
 function getCurrentContext(): HTMLElement {
-  return contextStack[contextStack.length - 1]
+  injectStyles()
+  return contextStack[contextStack.length - 1] || document.body
 }
 
 function pushContext(element: HTMLElement) {
@@ -65,7 +67,7 @@ function pushContext(element: HTMLElement) {
 }
 
 function popContext() {
-  if (contextStack.length > 1) {
+  if (contextStack.length > 0) {
     contextStack.pop()
   }
 }
@@ -328,12 +330,19 @@ export function app(fn: () => void) {
   }
 }
 
-// Add CSS animations
-const style = document.createElement('style')
-style.textContent = `
-  @keyframes fadeIn {
-    from { opacity: 0; }
-    to { opacity: 1; }
-  }
-`
-document.head.appendChild(style)
\ No newline at end of file
+// Add CSS animations once, on first render
+let stylesInjected = false
+
+function injectStyles() {
+  if (stylesInjected) return
+  stylesInjected = true
+  
+  const style = document.createElement('style')
+  style.textContent = `
+    @keyframes fadeIn {
+      from { opacity: 0; }
+      to { opacity: 1; }
+    }
+  `
+  document.head.appendChild(style)
+}
\ No newline at end of file
@@ -1,13 +1,249 @@
 // Reactive State Management for Simplistic
 
+// The v2 engine registers itself globally. When it is loaded, control-flow
+// helpers render at its current context like any element creator; without it
+// they fall back to document.body.
+const getEngine = () => globalThis.simplestEngine
+
+// Insert a node where the next element would go
+function mountHere(node) {
+  const engine = getEngine()
+  if (engine) return engine.mount(node)
+  return document.body.appendChild(node)
+}
+
+// Run a render function with container as the current context
+function renderInto(container, fn) {
+  const engine = getEngine()
+  return engine ? engine.withContext(container, fn) : fn()
+}
+
+// Release listeners the v2 engine attached through props before removing a node
+function removeElement(element) {
+  const engine = getEngine()
+  if (engine) engine.cleanup(element)
+  element.remove()
+}
+
+// Ownership scopes: subscriptions, computed states and effects created while a
+// scope runs are registered to it, and dispose() tears them all down. Scopes
+// nest, so disposing a page also disposes every conditional and list row in it.
+let currentScope = null
+
+export class Scope {
+  constructor(parent = null) {
+    this.parent = parent
+    this.children = new Set()
+    this.cleanups = []
+    this.disposed = false
+    if (parent) parent.children.add(this)
+  }
+
+  run(fn) {
+    const previous = currentScope
+    currentScope = this
+    try {
+      return fn()
+    } finally {
+      currentScope = previous
+    }
+  }
+
+  add(cleanup) {
+    if (this.disposed) cleanup()
+    else this.cleanups.push(cleanup)
+  }
+
+  dispose() {
+    if (this.disposed) return
+    this.disposed = true
+    this.children.forEach(child => child.dispose())
+    this.cleanups.reverse().forEach(cleanup => cleanup())
+    this.cleanups = []
+    if (this.parent) this.parent.children.delete(this)
+  }
+}
+
+// Run fn in a new scope nested in the current one and return the scope
+export function scope(fn) {
+  const owner = new Scope(currentScope)
+  owner.run(fn)
+  return owner
+}
+
+// Register teardown work with the current scope (no-op outside of one)
+export function onCleanup(fn) {
+  if (currentScope) currentScope.add(fn)
+}
+
+// Dependency tracking: while a computed() or effect() runs, every state whose
+// value is read is recorded here, so it can subscribe to exactly those states
+let currentDependencies = null
+
+function track(source) {
+  if (currentDependencies) currentDependencies.add(source)
+}
+
+function collectDependencies(fn) {
+  const previous = currentDependencies
+  currentDependencies = new Set()
+  try {
+    return { value: fn(), dependencies: currentDependencies }
+  } finally {
+    currentDependencies = previous
+  }
+}
+
+// Run fn without recording what it reads
+export function untrack(fn) {
+  const previous = currentDependencies
+  currentDependencies = null
+  try {
+    return fn()
+  } finally {
+    currentDependencies = previous
+  }
+}
+
+// Swap an observer's subscriptions over to the states it read on its last run
+function resubscribe(observer, dependencies) {
+  observer.dependencies.forEach(dep => {
+    if (!dependencies.has(dep)) dep.computedStates.delete(observer)
+  })
+  dependencies.forEach(dep => dep.computedStates.add(observer))
+  observer.dependencies = [...dependencies]
+  observer.versions = new Map(observer.dependencies.map(dep => [dep, dep._version]))
+}
+
+// True when a dependency changed since the observer last ran. Stale computed
+// dependencies are refreshed first, so values are always pulled in dependency order.
+function dependenciesChanged(observer) {
+  return observer.dependencies.some(dep => {
+    if (dep.stale) dep.refresh()
+    return observer.versions.get(dep) !== dep._version
+  })
+}
+
+// Scheduler: writes mark everything downstream stale and queue a single flush.
+// The flush refreshes stale computed states, then notifies each changed state
+// or computed once with its final value, then runs affected effects.
+let pendingSources = new Set()
+let pendingEffects = new Set()
+let batchDepth = 0
+let flushScheduled = false
+let flushing = false
+let schedulerMode = 'microtask'
+
+function markStale(source) {
+  pendingSources.add(source)
+  source.computedStates.forEach(observer => {
+    if (observer instanceof Effect) {
+      pendingEffects.add(observer)
+    } else if (!observer.stale) {
+      observer.stale = true
+      markStale(observer)
+    }
+  })
+}
+
+function scheduleFlush() {
+  if (batchDepth > 0 || flushScheduled || flushing) return
+  if (schedulerMode === 'sync') return flush()
+
+  flushScheduled = true
+  if (schedulerMode === 'frame' && typeof requestAnimationFrame === 'function') {
+    requestAnimationFrame(flush)
+  } else {
+    queueMicrotask(flush)
+  }
+}
+
+function flush() {
+  if (flushing) return
+  flushScheduled = false
+  flushing = true
+
+  try {
+    runPending()
+  } finally {
+    flushing = false
+  }
+}
+
+function runPending() {
+  // A throwing listener or effect must not cost the others their update, since
+  // their sources have already left the queue; errors are rethrown at the end
+  const errors = []
+  const attempt = (fn) => {
+    try {
+      fn()
+    } catch (error) {
+      errors.push(error)
+    }
+  }
+
+  // Effects may write to states again; keep going until everything settles
+  while (pendingSources.size > 0 || pendingEffects.size > 0) {
+    const sources = [...pendingSources]
+    const effects = [...pendingEffects]
+    pendingSources = new Set()
+    pendingEffects = new Set()
+
+    sources.forEach(source => {
+      if (source.stale) attempt(() => source.refresh())
+    })
+
+    sources.forEach(source => {
+      if (source._notifiedVersion === source._version) return
+      source._notifiedVersion = source._version
+      source.listeners.forEach(listener => attempt(() => listener(source._value)))
+    })
+
+    effects.forEach(effect => {
+      attempt(() => {
+        if (dependenciesChanged(effect)) effect.run()
+      })
+    })
+  }
+
+  if (errors.length === 1) throw errors[0]
+  if (errors.length > 1) throw new AggregateError(errors, `${errors.length} state listeners or effects threw`)
+}
+
+// Group several writes into one update: listeners and effects run once, when
+// the outermost batch ends, and never see a half-applied change
+export function batch(fn) {
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    batchDepth--
+    if (batchDepth === 0) flush()
+  }
+}
+
+// When queued updates are flushed: 'microtask' (default), 'frame' (next
+// animation frame) or 'sync' (immediately after every write)
+export function setScheduler(mode) {
+  schedulerMode = mode
+}
+
 export class State {
   constructor(initialValue) {
     this._value = initialValue
     this.listeners = new Set()
-    this.computedStates = new Set()
+    this.computedStates = new Set() // computed states and effects that read this state
+    this._version = 0
+    this._notifiedVersion = 0
   }
 
   get value() {
+    track(this)
+    return this._value
+  }
+
+  // Read without being tracked as a dependency
+  peek() {
     return this._value
   }
 
@@ -18,14 +254,18 @@ export class State {
     }
   }
 
+  // Record a change; listeners and dependents are updated in the next flush
   notify() {
-    this.listeners.forEach(listener => listener(this._value))
-    this.computedStates.forEach(computed => computed.recompute())
+    this._version++
+    markStale(this)
+    scheduleFlush()
   }
 
   subscribe(listener) {
     this.listeners.add(listener)
-    return () => this.listeners.delete(listener)
+    const unsubscribe = () => this.listeners.delete(listener)
+    onCleanup(unsubscribe)
+    return unsubscribe
   }
 
   map(fn) {
@@ -44,6 +284,44 @@ export class State {
     }
   }
 
+  pop() {
+    return this.mutateArray(list => list.pop())
+  }
+
+  shift() {
+    return this.mutateArray(list => list.shift())
+  }
+
+  unshift(...items) {
+    return this.mutateArray(list => list.unshift(...items))
+  }
+
+  splice(start, deleteCount, ...items) {
+    return this.mutateArray(list => list.splice(start, deleteCount, ...items))
+  }
+
+  sort(compareFn) {
+    return this.mutateArray(list => list.sort(compareFn))
+  }
+
+  // Remove the first occurrence of item; returns whether it was found
+  remove(item) {
+    return this.mutateArray(list => {
+      const index = list.indexOf(item)
+      if (index !== -1) list.splice(index, 1)
+      return index !== -1
+    })
+  }
+
+  mutateArray(fn) {
+    if (!Array.isArray(this._value)) {
+      throw new Error('Array methods can only be used on array states')
+    }
+    const result = fn(this._value)
+    this.notify()
+    return result
+  }
+
   filter(predicate) {
     if (Array.isArray(this._value)) {
       return this._value.filter(predicate)
@@ -52,34 +330,69 @@ export class State {
   }
 }
 
+// Derived value. With an explicit dependencies array it recomputes when those
+// change; without one, it tracks whatever states computeFn reads on each run.
 export class ComputedState {
   constructor(computeFn, dependencies) {
     this.computeFn = computeFn
-    this.dependencies = dependencies
-    this._value = computeFn()
+    this.tracked = !dependencies
+    this.dependencies = this.tracked ? [] : dependencies
     this.listeners = new Set()
+    this.computedStates = new Set()
+    this.stale = false
+    this._version = 0
+    this._notifiedVersion = 0
+    this._value = this.evaluate()
+    onCleanup(() => this.dispose())
+  }
 
-    // Subscribe to dependencies
-    dependencies.forEach(dep => {
-      dep.computedStates.add(this)
-    })
+  // Stop recomputing and drop all subscriptions
+  dispose() {
+    resubscribe(this, new Set())
+    this.listeners.clear()
   }
 
-  get value() {
-    return this._value
+  evaluate() {
+    if (!this.tracked) {
+      const value = untrack(this.computeFn)
+      resubscribe(this, new Set(this.dependencies))
+      return value
+    }
+
+    const { value, dependencies } = collectDependencies(this.computeFn)
+    resubscribe(this, dependencies)
+    return value
   }
 
-  recompute() {
-    const newValue = this.computeFn()
+  // Recompute only if a dependency actually changed since the last evaluation
+  refresh() {
+    this.stale = false
+    if (!dependenciesChanged(this)) return
+
+    const newValue = this.evaluate()
     if (newValue !== this._value) {
       this._value = newValue
-      this.listeners.forEach(listener => listener(this._value))
+      this._version++
     }
   }
 
+  // Reads are always up to date, even before the scheduled flush
+  get value() {
+    track(this)
+    if (this.stale) this.refresh()
+    return this._value
+  }
+
+  peek() {
+    if (this.stale) this.refresh()
+    return this._value
+  }
+
   subscribe(listener) {
     this.listeners.add(listener)
-    return () => this.listeners.delete(listener)
+    const unsubscribe = () => this.listeners.delete(listener)
+    onCleanup(unsubscribe)
+    return unsubscribe
   }
 
   toString() {
@@ -93,9 +406,12 @@ export class ConditionalElement {
     this.elementFn = elementFn
     this.dependencies = dependencies
     this.currentElement = null
+    this.owner = currentScope
+    this.scope = null // owns whatever elementFn created while shown
     
-    this.placeholder = document.createComment('conditional')
-    document.body.appendChild(this.placeholder)
+    const engine = getEngine()
+    this.placeholder = (engine ? engine.doc : document).createComment('conditional')
+    mountHere(this.placeholder)
 
     // Initial render
     this.update()
@@ -110,67 +426,301 @@ export class ConditionalElement {
     const shouldShow = this.conditionFn()
     
     if (shouldShow && !this.currentElement) {
-      // Show element
-      this.currentElement = this.elementFn()
-      this.placeholder.parentNode?.insertBefore(this.currentElement, this.placeholder)
+      // Show element, rendered in the placeholder's container
+      const parent = this.placeholder.parentNode
+      this.scope = new Scope(this.owner)
+      this.currentElement = this.scope.run(() => renderInto(parent, this.elementFn))
+      parent?.insertBefore(this.currentElement, this.placeholder)
     } else if (!shouldShow && this.currentElement) {
-      // Hide element
-      this.currentElement.remove()
+      // Hide element and tear down what it created
+      this.scope.dispose()
+      removeElement(this.currentElement)
       this.currentElement = null
     }
   }
 }
 
+// Runs fn now and again whenever a state it read changes. fn may return a
+// cleanup function, called before each re-run and on dispose.
+export class Effect {
+  constructor(fn) {
+    this.fn = fn
+    this.dependencies = []
+    this.cleanup = null
+    this.disposed = false
+    this.owner = currentScope
+    this.scope = null // owns what the last run created
+    onCleanup(() => this.dispose())
+    this.run()
+  }
+
+  run() {
+    if (this.disposed) return
+    this.teardown()
+
+    this.scope = new Scope(this.owner)
+    const { value, dependencies } = this.scope.run(() => collectDependencies(this.fn))
+    this.cleanup = value
+    resubscribe(this, dependencies)
+  }
+
+  teardown() {
+    if (this.scope) this.scope.dispose()
+    if (typeof this.cleanup === 'function') this.cleanup()
+    this.cleanup = null
+  }
+
+  dispose() {
+    if (this.disposed) return
+    this.disposed = true
+    this.teardown()
+    resubscribe(this, new Set())
+  }
+}
+
 // Factory function
 export function state(initialValue) {
   return new State(initialValue)
 }
 
-// For iterating over arrays in templates
-export function each(items, renderFn) {
-  return new IteratedElements(items, renderFn)
+// Derived state that tracks its own dependencies: computed(() => a.value + b.value)
+export function computed(fn) {
+  return new ComputedState(fn)
+}
+
+// Side effect that re-runs when the states it reads change; returns a dispose function
+export function effect(fn) {
+  const runner = new Effect(fn)
+  return () => runner.dispose()
+}
+
+// Deep reactive stores. Every (object, key) pair read through a store proxy gets
+// its own tracked node, so a write only notifies what read that exact path.
+const RAW = Symbol('raw')
+const ITERATE = Symbol('iterate') // key additions and removals
+const ARRAY_MUTATORS = new Set(['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'])
+const storeProxies = new WeakMap() // raw object -> proxy
+const storeNodes = new WeakMap() // raw object -> Map(key -> State)
+
+export function isStore(value) {
+  return value != null && typeof value === 'object' && value[RAW] !== undefined
+}
+
+// The plain object behind a store proxy
+export function toRaw(value) {
+  return isStore(value) ? value[RAW] : value
+}
+
+function storeNode(target, key) {
+  if (!storeNodes.has(target)) storeNodes.set(target, new Map())
+  const nodes = storeNodes.get(target)
+  if (!nodes.has(key)) nodes.set(key, new State(undefined))
+  return nodes.get(key)
+}
+
+// Notify several nodes as one write. Unlike batch() this doesn't force a flush:
+// the scheduler still coalesces them with other writes, and only 'sync' flushes now.
+function notifyTogether(nodes) {
+  batchDepth++
+  try {
+    nodes.forEach(node => node.notify())
+  } finally {
+    batchDepth--
+    scheduleFlush()
+  }
+}
+
+function notifyKeys(target, keys) {
+  const nodes = storeNodes.get(target)
+  if (nodes) notifyTogether(keys.map(key => nodes.get(key)).filter(Boolean))
+}
+
+// Indices shift on structural array changes, so everything read from it is affected
+function notifyAll(target) {
+  const nodes = storeNodes.get(target)
+  if (nodes) notifyTogether(nodes)
+}
+
+function arrayMethod(target, method) {
+  return (...args) => {
+    let result
+    if (method === 'remove') {
+      const index = target.indexOf(toRaw(args[0]))
+      if (index !== -1) target.splice(index, 1)
+      result = index !== -1
+    } else {
+      result = Array.prototype[method].apply(target, args.map(toRaw))
+    }
+    notifyAll(target)
+    return result === target ? reactive(target) : result
+  }
+}
+
+const storeHandler = {
+  get(target, key, receiver) {
+    if (key === RAW) return target
+    if (Array.isArray(target) && (ARRAY_MUTATORS.has(key) || key === 'remove')) {
+      return arrayMethod(target, key)
+    }
+
+    const value = Reflect.get(target, key, receiver)
+    if (typeof key === 'symbol') return value
+
+    track(storeNode(target, key))
+    return value != null && typeof value === 'object' ? reactive(value) : value
+  },
+
+  set(target, key, value) {
+    const hadKey = Object.prototype.hasOwnProperty.call(target, key)
+    const oldValue = target[key]
+    const oldLength = Array.isArray(target) ? target.length : 0
+    target[key] = toRaw(value)
+
+    if (Array.isArray(target) && target.length !== oldLength) {
+      notifyAll(target)
+    } else if (!hadKey) {
+      notifyKeys(target, [key, ITERATE])
+    } else if (oldValue !== target[key]) {
+      notifyKeys(target, [key])
+    }
+    return true
+  },
+
+  deleteProperty(target, key) {
+    const hadKey = Object.prototype.hasOwnProperty.call(target, key)
+    delete target[key]
+    if (hadKey) notifyKeys(target, [key, ITERATE])
+    return true
+  },
+
+  has(target, key) {
+    if (typeof key !== 'symbol') track(storeNode(target, key))
+    return key in target
+  },
+
+  ownKeys(target) {
+    track(storeNode(target, Array.isArray(target) ? 'length' : ITERATE))
+    return Reflect.ownKeys(target)
+  }
+}
+
+function reactive(target) {
+  if (!storeProxies.has(target)) storeProxies.set(target, new Proxy(target, storeHandler))
+  return storeProxies.get(target)
+}
+
+// Deep reactive object/array state: store({ user: { name: 'Ada' }, items: [] }).
+// Nested sets, key additions and deletes, and array mutations (push, splice, pop,
+// shift, sort, remove...) notify only computeds and effects that read the affected path.
+export function store(initialValue) {
+  return reactive(toRaw(initialValue))
+}
+
+const isReactive = (value) => value instanceof State || value instanceof ComputedState
+
+// For iterating over arrays in templates: a plain array, a store array, or a
+// State or ComputedState holding one, e.g. computed(() => todos.value.filter(...)).
+// Pass { key: item => item.id } so rows are matched by key across updates;
+// by default each item is its own key.
+export function each(items, renderFn, options = {}) {
+  return new IteratedElements(items, renderFn, options)
+}
+
+// An item's own fields as its row was rendered, so an item changed in place and
+// handed back in a new array (todos.value = [...todos.value]) still re-renders
+const snapshotOf = (item) => {
+  if (item === null || typeof item !== 'object') return null
+  return Array.isArray(item) ? [...item] : { ...item }
+}
+
+const changedSince = (snapshot, item) => {
+  if (snapshot === null) return false
+  const keys = Object.keys(item)
+  return keys.length !== Object.keys(snapshot).length || keys.some(key => !Object.is(snapshot[key], item[key]))
 }
 
 export class IteratedElements {
-  constructor(items, renderFn) {
+  constructor(items, renderFn, options = {}) {
     this.items = items
     this.renderFn = renderFn
-    this.elements = []
+    this.keyFn = options.key || (item => item)
+    this.rows = [] // { key, item, snapshot, element, scope } in display order
+    this.owner = currentScope
     
-    // Create a container for the iterated elements
-    this.container = document.createElement('div')
-    this.container.style.display = 'contents' // Don't affect layout
-    document.body.appendChild(this.container)
+    // Create a container for the iterated elements at the current position
+    const engine = getEngine()
+    if (engine) {
+      this.container = engine.div({ display: 'contents' }) // Don't affect layout
+    } else {
+      this.container = document.createElement('div')
+      this.container.style.display = 'contents'
+      mountHere(this.container)
+    }
 
-    // Initial render
-    this.render()
+    if (isStore(items)) {
+      // Store arrays re-render when their length or any item read here changes
+      effect(() => this.render())
+    } else {
+      // Initial render
+      this.render()
 
-    // Subscribe to changes if it's a state
-    if (items instanceof State) {
-      items.subscribe(() => this.render())
+      // Subscribe to changes if it's a state or a computed one
+      if (isReactive(items)) {
+        items.subscribe(() => this.render())
+      }
     }
   }
 
+  // Reconcile rows by key: reuse existing elements, render only new or replaced
+  // items, remove the rest, and move nodes only when they are out of place
   render() {
-    // Clear existing elements
-    this.elements.forEach(el => el.remove())
-    this.elements = []
-
-    // Get current items
-    const currentItems = this.items instanceof State ? this.items.value : this.items
-
-    // Render new elements
-    currentItems.forEach((item, index) => {
-      const element = this.renderFn(item, index)
-      this.container.appendChild(element)
-      this.elements.push(element)
+    const currentItems = isReactive(this.items) ? this.items.peek() : this.items
+
+    // Previous rows grouped by key (a queue per key, so duplicate keys still pair up)
+    const previous = new Map()
+    this.rows.forEach(row => {
+      if (!previous.has(row.key)) previous.set(row.key, [])
+      previous.get(row.key).push(row)
+    })
+
+    this.rows = currentItems.map((item, index) => {
+      const key = this.keyFn(item, index)
+      const match = previous.has(key) ? previous.get(key).shift() : null
+
+      if (match && match.item === item && !changedSince(match.snapshot, item)) return match
+      if (match) this.removeRow(match)
+
+      // Each row owns what its render created, torn down when the row goes away
+      const rowScope = new Scope(this.owner)
+      const element = rowScope.run(() => renderInto(this.container, () => untrack(() => this.renderFn(item, index))))
+      // Store items update their rows through their own bindings
+      const snapshot = isStore(this.items) ? null : snapshotOf(item)
+      return { key, item, snapshot, element, scope: rowScope }
     })
+
+    // Whatever was not matched is gone
+    previous.forEach(rows => rows.forEach(row => this.removeRow(row)))
+
+    // Walk the container once, inserting only the nodes that are not already in place
+    let next = this.container.firstChild
+    this.rows.forEach(({ element }) => {
+      if (element === next) {
+        next = next.nextSibling
+      } else {
+        this.container.insertBefore(element, next)
+      }
+    })
+  }
+
+  removeRow(row) {
+    row.scope.dispose()
+    removeElement(row.element)
   }
 }
 
 // Helper to make text elements reactive
 export function reactiveText(state) {
-  const textNode = document.createTextNode(String(state.value))
+  const textNode = document.createTextNode(String(state.peek()))
   
   state.subscribe(value => {
     textNode.textContent = String(value)
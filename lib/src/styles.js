@@ -0,0 +1,220 @@
+// Simplest.js Styles - Style declarations, the generated class stylesheet and theme tokens
+// Shared by the engine, which can compile style props to classes, and by server
+// rendering, which serializes styles without a DOM.
+
+// fontSize -> font-size, msTransform -> -ms-transform. Custom properties are
+// case-sensitive and keep their name.
+export const toKebab = (key) => {
+  if (key.startsWith('--')) return key;
+  const kebab = key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+  return /^(webkit|moz|ms)-/.test(kebab) ? `-${kebab}` : kebab;
+};
+
+// CSS property names that are complete words, and prefixes that only name a
+// property with a suffix (text is not a property, textAlign is). Props that are
+// neither, like an option meant for a creator, are not written as styles; the
+// browser would drop them, but the server output and class rules would not.
+const CSS_PROPERTIES = new Set([
+  'all', 'animation', 'appearance', 'background', 'border', 'bottom', 'caret', 'clear', 'clip',
+  'color', 'columns', 'contain', 'container', 'content', 'cursor', 'direction', 'display',
+  'fill', 'filter', 'flex', 'float', 'font', 'gap', 'grid', 'height', 'hyphens', 'inset',
+  'isolation', 'left', 'margin', 'marker', 'mask', 'offset', 'opacity', 'order', 'orphans', 'outline',
+  'overflow', 'padding', 'page', 'perspective', 'position', 'quotes', 'resize', 'right', 'rotate',
+  'scale', 'stroke', 'top', 'transform', 'transition', 'translate', 'visibility', 'widows',
+  'width', 'zoom'
+]);
+
+const CSS_FAMILIES = new RegExp('^(accent|align|alignment|anchor|animation|aspect|backdrop|' +
+  'backface|background|baseline|block|border|box|break|caption|caret|clip|color|column|contain|' +
+  'container|content|counter|dominant|empty|fill|flex|flood|font|forced|grid|hanging|hyphenate|' +
+  'image|initial|inline|inset|interpolate|justify|letter|lighting|line|list|margin|marker|mask|' +
+  'math|max|min|mix|object|offset|outline|overflow|overscroll|padding|page|paint|perspective|' +
+  'place|pointer|position|print|row|ruby|scroll|scrollbar|shape|stroke|tab|table|text|timeline|' +
+  'touch|transform|transition|unicode|user|vector|vertical|view|white|will|word|writing|z)[A-Z]');
+
+export const isCssProperty = (key) => {
+  return key.startsWith('--') || CSS_PROPERTIES.has(key) || CSS_FAMILIES.test(key) ||
+    /^(webkit|Webkit|moz|Moz|ms)[A-Z]/.test(key);
+};
+
+// Records declarations in order; supports both style.fooBar = x and setProperty()
+export function createStyle() {
+  const declarations = new Map();
+
+  const api = {
+    setProperty(name, value) {
+      if (value == null || value === '') declarations.delete(name);
+      else declarations.set(name, String(value));
+    },
+    getPropertyValue(name) {
+      return declarations.get(name) || '';
+    },
+    removeProperty(name) {
+      const value = declarations.get(name) || '';
+      declarations.delete(name);
+      return value;
+    },
+    get cssText() {
+      return Array.from(declarations, ([name, value]) => `${name}: ${value};`).join(' ');
+    },
+    [Symbol.iterator]() {
+      return declarations.keys();
+    }
+  };
+
+  return new Proxy(api, {
+    get(target, key) {
+      if (key in target || typeof key !== 'string') return target[key];
+      return target.getPropertyValue(toKebab(key));
+    },
+    set(target, key, value) {
+      target.setProperty(toKebab(key), value);
+      return true;
+    }
+  });
+}
+
+// FNV-1a in base 36: short class names that are the same on server and client
+export function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+// A managed <style> element. Each named block of rules is inserted once; the
+// text is also kept so server rendering can emit the sheet without a DOM.
+export class StyleSheet {
+  constructor(id) {
+    this.id = id;
+    this.rules = new Map(); // name -> rule strings
+    this.element = null;
+    this.nonce = null; // copied onto the <style> for Content-Security-Policy
+  }
+
+  has(name) {
+    return this.rules.has(name);
+  }
+  
+  // Drop every rule, e.g. before inserting a block that replaces them. The element
+  // goes too, including one from server markup: emptying it would leave rules
+  // added through insertRule behind.
+  clear(doc) {
+    this.rules.clear();
+    const element = this.element || (doc && doc.getElementById(this.id));
+    if (element) element.remove();
+    this.element = null;
+  }
+
+  // Pass no document to only record the rules (server rendering)
+  insert(name, rules, doc) {
+    if (this.rules.has(name)) return;
+    this.rules.set(name, rules);
+    if (!doc) return;
+
+    const element = this._element(doc);
+    rules.forEach(rule => {
+      if (!element.sheet) {
+        element.appendChild(doc.createTextNode(rule));
+        return;
+      }
+      try {
+        element.sheet.insertRule(rule, element.sheet.cssRules.length);
+      } catch {
+        // Syntax this browser doesn't support (e.g. container queries) would not apply anyway
+      }
+    });
+  }
+
+  get cssText() {
+    return Array.from(this.rules.values()).flat().join('\n');
+  }
+
+  _element(doc) {
+    if (this.element && this.element.isConnected) return this.element;
+
+    this.element = doc.getElementById(this.id);
+    if (!this.element) {
+      this.element = doc.createElement('style');
+      this.element.id = this.id;
+      if (this.nonce) this.element.setAttribute('nonce', this.nonce);
+      doc.head.appendChild(this.element);
+    }
+    return this.element;
+  }
+}
+
+// The fadeIn keyframes and body reset every page gets once, as
+// <style id="simplest-styles">: from the engine in the browser, from renderStyles()
+// in server markup
+export const BASE_STYLES = `@keyframes simplestkeyframe_fadeIn {
+  from { opacity: 0; transform: translateY(10px); }
+  to { opacity: 1; transform: translateY(0); }
+}
+body {
+  margin: 0;
+  font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}`;
+
+// Design tokens. These defaults are the values the engine used before themes
+// existed, so output is unchanged until theme() is called.
+export const DEFAULT_TOKENS = {
+  colors: {
+    primary: '#007bff',
+    onPrimary: 'white',
+    surface: '#f8f9fa',
+    text: '#212529',
+    border: '#dee2e6',
+    muted: '#666'
+  },
+  space: { xs: 4, sm: 8, md: 16, lg: 24, xl: 32 },
+  radii: { sm: 4, md: 8, lg: 16, full: 9999 },
+  shadows: {
+    sm: '0 1px 3px rgba(0,0,0,0.1)',
+    md: '0 2px 8px rgba(0,0,0,0.1)',
+    lg: '0 8px 24px rgba(0,0,0,0.15)'
+  },
+  fonts: {
+    body: 'system-ui, -apple-system, sans-serif',
+    mono: 'ui-monospace, Menlo, monospace'
+  }
+};
+
+// Token group -> custom property prefix: colors.primary is --color-primary
+const TOKEN_PREFIXES = { colors: 'color', space: 'space', radii: 'radius', shadows: 'shadow', fonts: 'font' };
+
+export const tokenVar = (group, name) => `var(--${TOKEN_PREFIXES[group]}-${toKebab(name)})`;
+
+export const tokenValue = (group, value) => {
+  return typeof value === 'number' && (group === 'space' || group === 'radii') ? `${value}px` : String(value);
+};
+
+// Each group merged over the defaults; dark holds overrides for dark mode
+export function mergeTokens(base, tokens) {
+  const merged = { dark: tokens.dark || null };
+  Object.keys(TOKEN_PREFIXES).forEach(group => {
+    merged[group] = { ...base[group], ...tokens[group] };
+  });
+  return merged;
+}
+
+// Custom properties on :root, with the dark overrides applied when
+// data-theme="dark" is set on <html>, or when the system prefers dark and no
+// mode has been picked
+export function themeRules(tokens) {
+  const declarations = (groups) => Object.keys(TOKEN_PREFIXES).flatMap(group => {
+    return Object.keys(groups[group] || {}).map(name => {
+      return `--${TOKEN_PREFIXES[group]}-${toKebab(name)}: ${tokenValue(group, groups[group][name])};`;
+    });
+  }).join(' ');
+
+  const rules = [`:root { ${declarations(tokens)} }`];
+  if (tokens.dark) {
+    const dark = `${declarations(tokens.dark)} color-scheme: dark;`;
+    rules.push(`:root[data-theme="dark"] { ${dark} }`);
+    rules.push(`@media (prefers-color-scheme: dark) { :root:not([data-theme="light"]) { ${dark} } }`);
+  }
+  return rules;
+}
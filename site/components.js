@@ -1,7 +1,8 @@
 // Shared components for Simplest.js website
 import { div, button, h1, p } from '../lib/src/simplest-v2.js';
+import { link } from '../lib/src/router.js';
 
-export function navigation(currentPage = 'home') {
+export function navigation() {
   div({
     position: 'fixed',
     top: 0,
@@ -31,11 +32,11 @@ export function navigation(currentPage = 'home') {
       
       // Nav links
       () => div({ row: true, gap: 32 },
-        () => navLink('Home', '/site/index.html', currentPage === 'home'),
-        () => navLink('Docs', '/site/docs.html', currentPage === 'docs'),
-        () => navLink('Sandbox', '/site/sandbox.html', currentPage === 'sandbox'),
-        () => navLink('Examples', '/site/examples.html', currentPage === 'examples'),
-        () => navLink('Tutorial', '/site/tutorial.html', currentPage === 'tutorial'),
+        () => navLink('Home', '/site/index.html'),
+        () => navLink('Docs', '/site/docs.html'),
+        () => navLink('Sandbox', '/site/sandbox.html'),
+        () => navLink('Examples', '/site/examples.html'),
+        () => navLink('Tutorial', '/site/tutorial.html'),
         () => button('GitHub', {
           bg: '#24292f',
           color: 'white',
@@ -52,14 +53,15 @@ export function navigation(currentPage = 'home') {
   div({ height: 70 });
 }
 
-function navLink(text, href, isActive = false) {
-  button(text, {
-    bg: 'transparent',
-    border: 'none',
-    color: isActive ? '#2563eb' : '#6b7280',
-    fontWeight: isActive ? 'bold' : 'normal',
-    onClick: () => window.location.href = href,
-    hover: { color: '#2563eb' }
+// Highlights itself when its page is the current one
+function navLink(text, href) {
+  link(text, href, {
+    color: '#6b7280',
+    fontWeight: 'normal',
+    textDecoration: 'none',
+    hover: { color: '#2563eb' },
+    activeProps: { color: '#2563eb', fontWeight: 'bold' },
+    exact: true
   });
 }
 
@@ -0,0 +1,54 @@
+/**
+ * @jest-environment jsdom
+ */
+import { div, p, configure } from '../lib/src/simplest-v2.js';
+import { renderToString, renderStyles } from '../lib/src/server.js';
+import { state, setScheduler } from '../lib/src/state.js';
+
+beforeAll(() => configure({ styles: 'class', nonce: 'n0nce' }));
+beforeEach(() => setScheduler('sync'));
+afterEach(() => setScheduler('microtask'));
+
+const classRules = () => Array.from(document.getElementById('simplest-classes').sheet.cssRules, rule => rule.cssText);
+
+describe('class mode', () => {
+  test('shares one generated class between elements with the same styles', () => {
+    const first = p('a', { pad: 8, bold: true });
+    const second = p('b', { bold: true, pad: 8 });
+    const other = p('c', { pad: 4 });
+
+    expect(first.className).toMatch(/^s-[0-9a-z]+$/);
+    expect(second.className).toBe(first.className);
+    expect(other.className).not.toBe(first.className);
+    expect(first.getAttribute('style')).toBeNull();
+    expect(classRules().filter(rule => rule.startsWith(`.${first.className} `))).toHaveLength(1);
+  });
+
+  test('injects a single <style> carrying the configured nonce', () => {
+    p('a', { margin: 2 });
+    p('b', { margin: 3 });
+
+    const sheets = document.querySelectorAll('style#simplest-classes');
+    expect(sheets).toHaveLength(1);
+    expect(sheets[0].getAttribute('nonce')).toBe('n0nce');
+    expect(document.getElementById('simplest-styles').getAttribute('nonce')).toBe('n0nce');
+  });
+
+  test('keeps reactive props inline so they can update', () => {
+    const color = state('red');
+    const el = p('a', { pad: 8, color });
+
+    expect(el.style.color).toBe('red');
+    color.value = 'blue';
+    expect(el.style.color).toBe('blue');
+    expect(el.style.padding).toBe('');
+  });
+
+  test('server output names the same classes and emits their rules', () => {
+    const client = div({ gap: 12, center: true }).className;
+    const html = renderToString(() => div({ center: true, gap: 12 }));
+
+    expect(html).toBe(`<div class="${client}"></div>`);
+    expect(renderStyles()).toContain(`.${client} {`);
+  });
+});
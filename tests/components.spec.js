@@ -0,0 +1,79 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { component, div, h2, p } from '../lib/src/simplest-v2.js';
+import { scope } from '../lib/src/state.js';
+
+// Mount checks run in a microtask, and so do MutationObserver callbacks
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('component', () => {
+  test('merges defaults under props and renders children where asked', () => {
+    const Card = component((props, { children }) => div({ className: 'card' }, () => {
+      h2(props.title);
+      children();
+      p(props.footer);
+    }), { title: 'Untitled', footer: 'Footer' });
+
+    Card({ footer: 'End' }, () => p('Body'), () => p('More'));
+
+    expect(document.body.innerHTML).toBe('<div class="card"><h2>Untitled</h2><p>Body</p><p>More</p><p>End</p></div>');
+  });
+
+  test('mounts once the root is in the document and unmounts when it leaves', async () => {
+    const events = [];
+    const Card = component((props, { onMount, onUnmount }) => {
+      onMount(() => {
+        events.push('mount');
+        return () => events.push('cleanup');
+      });
+      onUnmount(() => events.push('unmount'));
+      return div();
+    });
+
+    const root = Card();
+    await settle();
+    expect(events).toEqual(['mount']);
+
+    root.remove();
+    await settle();
+    expect(events).toEqual(['mount', 'cleanup', 'unmount']);
+
+    document.body.appendChild(root);
+    await settle();
+    expect(events).toEqual(['mount', 'cleanup', 'unmount', 'mount']);
+  });
+
+  test('unmounts when its scope is disposed', async () => {
+    const events = [];
+    const Card = component((props, { onMount, onUnmount }) => {
+      onMount(() => events.push('mount'));
+      onUnmount(() => events.push('unmount'));
+      return div();
+    });
+
+    const owner = scope(() => Card());
+    await settle();
+    owner.dispose();
+    expect(events).toEqual(['mount', 'unmount']);
+  });
+
+  test('never mounts a root that has not reached the document', async () => {
+    const mounted = jest.fn();
+    const Card = component((props, { onMount }) => {
+      onMount(mounted);
+      return div();
+    });
+
+    let root;
+    document.body.appendChild(div(() => { root = Card(); }));
+    root.remove();
+    await settle();
+    expect(mounted).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+import { p } from '../lib/src/simplest-v2.js';
+import { renderToString } from '../lib/src/server.js';
+import { state, computed, each, setScheduler } from '../lib/src/state.js';
+
+// Lists render into the server document, with sync flushes so updates land
+// before the render ends
+beforeEach(() => setScheduler('sync'));
+afterEach(() => setScheduler('microtask'));
+
+const texts = (list) => list.container.childNodes.map(node => node.textContent);
+
+describe('each', () => {
+  test('moves keyed rows instead of rendering them again', () => {
+    const items = state([{ id: 1, text: 'a' }, { id: 2, text: 'b' }, { id: 3, text: 'c' }]);
+    const renders = [];
+
+    renderToString(() => {
+      const list = each(items, item => {
+        renders.push(item.id);
+        return p(item.text);
+      }, { key: item => item.id });
+      const [a, b, c] = list.container.childNodes;
+
+      items.value = [items.value[2], items.value[0], items.value[1]];
+
+      expect(texts(list)).toEqual(['c', 'a', 'b']);
+      expect(list.container.childNodes).toEqual([c, a, b]);
+      expect(renders).toEqual([1, 2, 3]);
+    });
+  });
+
+  test('renders new keys and removes missing ones', () => {
+    const items = state([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+    const renders = [];
+
+    renderToString(() => {
+      const list = each(items, item => {
+        renders.push(item.id);
+        return p(item.text);
+      }, { key: item => item.id });
+
+      items.value = [items.value[1], { id: 3, text: 'c' }];
+
+      expect(texts(list)).toEqual(['b', 'c']);
+      expect(renders).toEqual([1, 2, 3]);
+    });
+  });
+
+  test('re-renders a row whose item was replaced or changed in place', () => {
+    const items = state([{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+
+    renderToString(() => {
+      const list = each(items, item => p(item.text), { key: item => item.id });
+      const [, b] = list.container.childNodes;
+
+      items.value[0].text = 'changed';
+      items.value = [...items.value];
+      expect(texts(list)).toEqual(['changed', 'b']);
+      expect(list.container.childNodes[1]).toBe(b);
+
+      items.value = [items.value[0], { id: 2, text: 'replaced' }];
+      expect(texts(list)).toEqual(['changed', 'replaced']);
+    });
+  });
+
+  test('follows a computed list', () => {
+    const todos = state([{ id: 1, text: 'a', done: true }, { id: 2, text: 'b', done: false }]);
+
+    renderToString(() => {
+      const open = each(computed(() => todos.value.filter(todo => !todo.done)), todo => p(todo.text), { key: todo => todo.id });
+      const labels = each(todos.map(list => list.map(todo => todo.text)), text => p(text));
+      expect(texts(open)).toEqual(['b']);
+      expect(texts(labels)).toEqual(['a', 'b']);
+
+      todos.value = [...todos.value, { id: 3, text: 'c', done: false }];
+      expect(texts(open)).toEqual(['b', 'c']);
+      expect(texts(labels)).toEqual(['a', 'b', 'c']);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { div, h1, p, button, hydrate, configure } from '../lib/src/simplest-v2.js';
+import { renderToString } from '../lib/src/server.js';
+import { state, setScheduler } from '../lib/src/state.js';
+
+beforeEach(() => setScheduler('sync'));
+afterEach(() => {
+  setScheduler('microtask');
+  configure({ dev: false });
+  document.body.innerHTML = '';
+});
+
+// Server-render fn into a fresh root, the way a page would arrive
+const serverRoot = (fn) => {
+  const root = document.createElement('div');
+  root.innerHTML = renderToString(fn);
+  document.body.appendChild(root);
+  return root;
+};
+
+describe('hydrate', () => {
+  test('adopts the server nodes and attaches handlers and state to them', () => {
+    const count = state(0);
+    const App = () => div({ col: true },
+      () => h1('Counter'),
+      () => p(count),
+      () => button('Add', { onClick: () => { count.value++; } })
+    );
+    const root = serverRoot(App);
+    const [heading, text, add] = root.querySelectorAll('h1, p, button');
+
+    hydrate(root, App);
+
+    expect(root.querySelectorAll('h1, p, button')).toHaveLength(3);
+    expect(root.querySelector('h1')).toBe(heading);
+    add.click();
+    expect(text.textContent).toBe('1');
+    expect(root.querySelector('p')).toBe(text);
+  });
+
+  test('reports mismatches only in dev mode', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const root = serverRoot(() => div(() => p('Server')));
+
+    hydrate(root, () => div(() => h1('Client')));
+    expect(warn).not.toHaveBeenCalled();
+
+    const devRoot = serverRoot(() => div(() => p('Server')));
+    configure({ dev: true });
+    hydrate(devRoot, () => div(() => h1('Client')));
+    const messages = warn.mock.calls.map(([message]) => message);
+    expect(messages[0]).toBe('Hydration mismatch: expected <h1> but found <p>');
+    expect(messages).toContain('Hydration mismatch: expected no more nodes but found <p>');
+    warn.mockRestore();
+  });
+
+  test('fixes text that differs from the server', () => {
+    const root = serverRoot(() => p('Server'));
+    hydrate(root, () => p('Client'));
+    expect(root.innerHTML).toBe('<p>Client</p>');
+  });
+});
@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import { route, navigate, router, configureRouter, createMemoryHistory } from '../lib/src/router.js';
+
+const history = createMemoryHistory('/');
+configureRouter({ history });
+
+const rendered = [];
+const page = (name) => ({ params }) => { rendered.push([name, params]); };
+const module = (name) => ({ default: page(name) });
+
+const loadReport = jest.fn(() => Promise.resolve(module('report')));
+let failNext = true;
+const loadFlaky = jest.fn(() => failNext
+  ? Promise.reject(new Error('chunk failed'))
+  : Promise.resolve(module('flaky')));
+const asyncPage = jest.fn(async (props) => {
+  page('async')(props);
+  await null;
+  return 'done';
+});
+
+route('/', page('home'));
+route('/reports/:id', loadReport, { lazy: true });
+route('/flaky', loadFlaky, { lazy: true, fallback: page('loading') });
+route('/docs', () => Promise.resolve(module('docs')));
+route('/async', asyncPage);
+
+beforeEach(async () => {
+  await navigate('/');
+  rendered.length = 0;
+});
+
+describe('lazy routes', () => {
+  test('render the module default export and import it once', async () => {
+    await expect(router.prefetch('/reports/1')).resolves.toBeDefined();
+    expect(loadReport).toHaveBeenCalledTimes(1);
+
+    await expect(navigate('/reports/1')).resolves.toBe(true);
+    await navigate('/reports/2');
+
+    expect(rendered).toEqual([['report', { id: '1' }], ['report', { id: '2' }]]);
+    expect(loadReport).toHaveBeenCalledTimes(1);
+  });
+
+  test('are found by their module when not marked lazy', async () => {
+    await expect(navigate('/docs')).resolves.toBe(true);
+    expect(rendered).toEqual([['docs', {}]]);
+    expect(router.routes.get('/docs').lazy).toBe(true);
+  });
+
+  test('leave the old page and URL when the import fails, then retry it', async () => {
+    await expect(navigate('/flaky')).rejects.toThrow('chunk failed');
+    expect(rendered.map(([name]) => name)).toEqual(['loading', 'home']);
+    expect(history.location()).toBe('/');
+    expect(router.current.path).toBe('/');
+    expect(router.pending.value).toBe(false);
+
+    failNext = false;
+    rendered.length = 0;
+    await expect(navigate('/flaky')).resolves.toBe(true);
+    expect(rendered.map(([name]) => name)).toEqual(['loading', 'flaky']);
+    expect(loadFlaky).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('async handlers', () => {
+  test('keep what they rendered and run again on every visit', async () => {
+    await expect(navigate('/async')).resolves.toBe(true);
+    expect(rendered).toEqual([['async', {}]]);
+    expect(history.location()).toBe('/async');
+
+    await navigate('/');
+    await expect(navigate('/async')).resolves.toBe(true);
+    expect(asyncPage).toHaveBeenCalledTimes(2);
+    expect(router.routes.get('/async').lazy).toBe(false);
+  });
+});
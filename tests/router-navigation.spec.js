@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import { route, navigate, beforeEach as beforeNavigate, router, configureRouter, createMemoryHistory } from '../lib/src/router.js';
+
+const history = createMemoryHistory('/');
+configureRouter({ history });
+
+const rendered = [];
+const page = (name) => ({ params }) => { rendered.push([name, params]); };
+
+let release;
+const slow = () => new Promise(resolve => { release = resolve; });
+
+route('/', page('home'));
+route('/about', page('about'));
+route('/admin', page('admin'), { beforeEnter: () => '/login?next=/admin' });
+route('/login', page('login'));
+route('/locked', page('locked'), { beforeEnter: () => false });
+route('/users/:id', page('user'), { load: ({ params }) => ({ id: params.id }) });
+route('/slow', page('slow'), { load: slow });
+route('/broken', page('broken'), { load: () => Promise.reject(new Error('load failed')) });
+
+beforeEach(async () => {
+  await navigate('/');
+  rendered.length = 0;
+});
+
+describe('navigation', () => {
+  test('renders the route and writes the URL', async () => {
+    await expect(navigate('/users/7?tab=posts')).resolves.toBe(true);
+    expect(rendered).toEqual([['user', { id: '7' }]]);
+    expect(history.location()).toBe('/users/7?tab=posts');
+    expect(router.current.query).toEqual({ tab: 'posts' });
+  });
+
+  test('a guard that returns a path redirects', async () => {
+    await expect(navigate('/admin')).resolves.toBe(true);
+    expect(rendered.map(([name]) => name)).toEqual(['login']);
+    expect(history.location()).toBe('/login?next=/admin');
+  });
+
+  test('a guard that returns false cancels and leaves the URL alone', async () => {
+    await expect(navigate('/locked')).resolves.toBe(false);
+    expect(rendered).toEqual([]);
+    expect(history.location()).toBe('/');
+    expect(router.pending.value).toBe(false);
+  });
+
+  test('global guards see where the navigation comes from', async () => {
+    const seen = [];
+    const remove = beforeNavigate((to, from) => { seen.push([from.path, to.path]); });
+    await navigate('/about');
+    remove();
+    expect(seen).toEqual([['/', '/about']]);
+  });
+
+  test('a newer navigation supersedes one still loading', async () => {
+    const first = navigate('/slow');
+    await Promise.resolve();
+    expect(router.pending.value).toBe(true);
+
+    await expect(navigate('/about')).resolves.toBe(true);
+    release();
+    await expect(first).resolves.toBe(false);
+
+    expect(rendered.map(([name]) => name)).toEqual(['about']);
+    expect(history.location()).toBe('/about');
+    expect(router.pending.value).toBe(false);
+  });
+
+  test('a failed loader rejects and leaves the URL and page in place', async () => {
+    await expect(navigate('/broken')).rejects.toThrow('load failed');
+    expect(rendered).toEqual([]);
+    expect(history.location()).toBe('/');
+    expect(router.current.path).toBe('/');
+    expect(router.pending.value).toBe(false);
+  });
+
+  test('going back onto a cancelled route undoes the move without adding entries', async () => {
+    history.push('/locked');
+    await navigate('/about');
+    const entries = [...history.entries];
+
+    history.back();
+    expect(history.location()).toBe('/about');
+    expect(history.entries).toEqual(entries);
+    expect(entries.slice(-3)).toEqual(['/', '/locked', '/about']);
+
+    history.go(-2);
+    await Promise.resolve();
+    expect(history.location()).toBe('/');
+    expect(router.current.path).toBe('/');
+  });
+
+  test('going back onto a failing route keeps the current one and reports the error', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    history.push('/broken');
+    await navigate('/about');
+    const entries = [...history.entries];
+    rendered.length = 0;
+
+    history.back();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(rendered).toEqual([]);
+    expect(history.location()).toBe('/about');
+    expect(history.entries).toEqual(entries);
+    expect(router.current.path).toBe('/about');
+    expect(router.pending.value).toBe(false);
+    error.mockRestore();
+  });
+});
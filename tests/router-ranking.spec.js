@@ -0,0 +1,43 @@
+import { route, router } from '../lib/src/router.js';
+
+const page = () => {};
+
+// Defined least specific first, so definition order never decides these
+route('*', page);
+route('/:section/*rest', page);
+route('/posts/:year/:slug?', page);
+route('/posts/:year', page);
+route('/posts/new', page);
+route('/files/*path', page);
+route('/files', page);
+
+const matched = (path) => {
+  const match = router.match(path);
+  return match && [match.route.path, match.params];
+};
+
+describe('route ranking', () => {
+  test('a static segment beats a param', () => {
+    expect(matched('/posts/new')).toEqual(['/posts/new', {}]);
+  });
+
+  test('a param beats a splat', () => {
+    expect(matched('/posts/2024')[0]).toBe('/posts/:year');
+    expect(matched('/docs/a/b')).toEqual(['/:section/*rest', { section: 'docs', rest: 'a/b' }]);
+  });
+
+  test('a route that leaves no optional segment empty wins the tie', () => {
+    expect(matched('/posts/2024')).toEqual(['/posts/:year', { year: '2024' }]);
+    expect(matched('/posts/2024/hello')).toEqual(['/posts/:year/:slug?', { year: '2024', slug: 'hello' }]);
+  });
+
+  test('an exact route beats a splat that would match nothing', () => {
+    expect(matched('/files')[0]).toBe('/files');
+    expect(matched('/files/a/b.txt')).toEqual(['/files/*path', { path: 'a/b.txt' }]);
+  });
+
+  test('a bare splat catches only what nothing else matches', () => {
+    expect(matched('/about')).toEqual(['/:section/*rest', { section: 'about', rest: '' }]);
+    expect(matched('/')).toEqual(['*', { '*': '' }]);
+  });
+});
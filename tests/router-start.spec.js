@@ -0,0 +1,18 @@
+import { route, router, configureRouter, createMemoryHistory } from '../lib/src/router.js';
+
+// route() only renders the current path by itself where there is a window
+beforeAll(() => { globalThis.window = {}; });
+afterAll(() => { delete globalThis.window; });
+
+test('the first render picks the best match from every route defined with it', async () => {
+  const rendered = [];
+  configureRouter({ history: createMemoryHistory('/users/new') });
+
+  route('/users/:id', ({ params }) => { rendered.push(`user ${params.id}`); });
+  route('/users/new', () => { rendered.push('new user'); });
+  expect(rendered).toEqual([]);
+
+  await Promise.resolve();
+  expect(rendered).toEqual(['new user']);
+  expect(router.current.route).toBe('/users/new');
+});
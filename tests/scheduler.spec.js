@@ -0,0 +1,87 @@
+import { state, computed, effect, batch, setScheduler } from '../lib/src/state.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+afterEach(() => setScheduler('microtask'));
+
+describe('scheduler', () => {
+  test('coalesces writes into one flush after the current task', async () => {
+    const count = state(0);
+    const runs = [];
+    effect(() => runs.push(count.value));
+
+    count.value = 1;
+    count.value = 2;
+    expect(runs).toEqual([0]);
+
+    await tick();
+    expect(runs).toEqual([0, 2]);
+  });
+
+  test('runs a diamond dependency once, with both sides up to date', async () => {
+    const source = state(1);
+    const doubled = computed(() => source.value * 2);
+    const next = computed(() => source.value + 1);
+    const seen = [];
+    effect(() => seen.push(`${doubled.value}/${next.value}`));
+
+    source.value = 5;
+    await tick();
+    expect(seen).toEqual(['2/2', '10/6']);
+  });
+
+  test('refreshes computed states before subscribers are notified', async () => {
+    const source = state(1);
+    const doubled = computed(() => source.value * 2);
+    const seen = [];
+    source.subscribe(value => seen.push(['source', value, doubled.peek()]));
+    doubled.subscribe(value => seen.push(['doubled', value]));
+
+    source.value = 2;
+    await tick();
+    expect(seen).toEqual([['source', 2, 4], ['doubled', 4]]);
+  });
+
+  test('batch flushes once, when the outermost batch ends', () => {
+    const first = state('a');
+    const last = state('b');
+    const seen = [];
+    effect(() => seen.push(first.value + last.value));
+
+    batch(() => {
+      first.value = 'x';
+      batch(() => { last.value = 'y'; });
+      expect(seen).toEqual(['ab']);
+    });
+    expect(seen).toEqual(['ab', 'xy']);
+  });
+
+  test('sync mode flushes after every write', () => {
+    setScheduler('sync');
+    const count = state(0);
+    const runs = [];
+    effect(() => runs.push(count.value));
+
+    count.value = 1;
+    count.value = 2;
+    expect(runs).toEqual([0, 1, 2]);
+  });
+
+  test('a throwing listener does not cost the others their update', () => {
+    setScheduler('sync');
+    const broken = state(0);
+    const other = state(0);
+    const seen = [];
+    broken.subscribe(() => { throw new Error('boom'); });
+    other.subscribe(value => seen.push(value));
+
+    expect(() => batch(() => {
+      broken.value = 1;
+      other.value = 1;
+    })).toThrow('boom');
+    expect(seen).toEqual([1]);
+
+    other.value = 2;
+    expect(seen).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,52 @@
+import { div, h1, p, button, input, configure } from '../lib/src/simplest-v2.js';
+import { renderToString, renderStyles } from '../lib/src/server.js';
+import { state, each } from '../lib/src/state.js';
+
+describe('renderToString', () => {
+  test('renders nested elements with inline styles and escaped text', () => {
+    const name = state('Ada <admin>');
+    const html = renderToString(() => div({ col: true, gap: 20 },
+      () => h1('Welcome'),
+      () => p(name)
+    ));
+
+    expect(html).toBe('<div style="display: flex; flex-direction: column; gap: 20px;">' +
+      '<h1>Welcome</h1><p>Ada &lt;admin&gt;</p></div>');
+  });
+
+  test('leaves out event handlers and escapes attributes', () => {
+    const html = renderToString(() => {
+      button('Go', { onClick: () => {}, id: 'go', pad: 0 });
+      input({ placeholder: 'Say "hi"', onInput: () => {} });
+    });
+
+    expect(html).toMatch(/^<button id="go" style="[^"]*">Go<\/button>/);
+    expect(html).toContain('<input placeholder="Say &quot;hi&quot;"');
+    expect(html).not.toMatch(/on(click|input)/i);
+  });
+
+  test('separates adjacent text nodes so hydration can claim each one', () => {
+    expect(renderToString(() => div('one', 'two'))).toBe('<div>one<!---->two</div>');
+  });
+
+  test('renders lists as they are now and releases their subscriptions', () => {
+    const items = state(['a', 'b']);
+    const html = renderToString(() => { each(items, item => p(item)); });
+
+    expect(html).toBe('<div style="display: contents;"><p>a</p><p>b</p></div>');
+    expect(items.listeners.size).toBe(0);
+  });
+});
+
+describe('renderStyles', () => {
+  test('includes the base styles, so server-rendered fadeIn content shows', () => {
+    expect(renderToString(() => p('Hi', { fadeIn: true }))).toContain('animation: simplestkeyframe_fadeIn');
+    expect(renderStyles()).toMatch(/^<style id="simplest-styles">@keyframes simplestkeyframe_fadeIn \{/);
+  });
+
+  test('puts the configured nonce on every tag', () => {
+    configure({ nonce: 'abc' });
+    const tags = renderStyles().match(/<style[^>]*>/g);
+    expect(tags).toEqual(['<style id="simplest-styles" nonce="abc">', '<style id="simplest-classes" nonce="abc">']);
+  });
+});
@@ -0,0 +1,53 @@
+import { effect, store } from '../lib/src/state.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('store', () => {
+  test('re-runs only what read the changed path', async () => {
+    const app = store({ user: { name: 'Ada', age: 36 } });
+    const names = [];
+    const ages = [];
+    effect(() => names.push(app.user.name));
+    effect(() => ages.push(app.user.age));
+
+    app.user.name = 'Grace';
+    await tick();
+    expect(names).toEqual(['Ada', 'Grace']);
+    expect(ages).toEqual([36]);
+  });
+
+  test('replacing an object notifies readers of paths inside it', async () => {
+    const app = store({ user: { name: 'Ada' } });
+    const names = [];
+    effect(() => names.push(app.user.name));
+
+    app.user = { name: 'Grace' };
+    await tick();
+    expect(names).toEqual(['Ada', 'Grace']);
+  });
+
+  test('array mutations go through the scheduler and coalesce', async () => {
+    const app = store({ items: [] });
+    const lengths = [];
+    effect(() => lengths.push(app.items.length));
+
+    app.items.push(1);
+    app.items.push(2);
+    expect(lengths).toEqual([0]);
+
+    await tick();
+    expect(lengths).toEqual([0, 2]);
+  });
+
+  test('adding and deleting keys notifies whatever listed them', async () => {
+    const app = store({ tags: {} });
+    const keys = [];
+    effect(() => keys.push(Object.keys(app.tags).join(',')));
+
+    app.tags.new = true;
+    await tick();
+    delete app.tags.new;
+    await tick();
+    expect(keys).toEqual(['', 'new', '']);
+  });
+});
@@ -0,0 +1,32 @@
+import { div, configure } from '../lib/src/simplest-v2.js';
+import { renderToString, renderStyles } from '../lib/src/server.js';
+import { toKebab } from '../lib/src/styles.js';
+
+describe('style property names', () => {
+  test('are kebab-cased, with vendor prefixes getting their leading dash', () => {
+    expect(toKebab('fontSize')).toBe('font-size');
+    expect(toKebab('msTransform')).toBe('-ms-transform');
+    expect(toKebab('WebkitUserSelect')).toBe('-webkit-user-select');
+    expect(toKebab('webkitUserSelect')).toBe('-webkit-user-select');
+  });
+
+  test('keep the case of custom properties', () => {
+    expect(toKebab('--accentColor')).toBe('--accentColor');
+    expect(renderToString(() => div({ '--accentColor': 'red', color: 'var(--accentColor)' })))
+      .toBe('<div style="--accentColor: red; color: var(--accentColor);"></div>');
+  });
+
+  test('leave out props that are not CSS', () => {
+    expect(renderToString(() => div({ label: 'x', opacity: 0.5 }))).toBe('<div style="opacity: 0.5;"></div>');
+  });
+});
+
+describe('breakpoints', () => {
+  test('emit their rules from the smallest width up, whatever order the scale lists them in', () => {
+    configure({ breakpoints: { desktop: 1200, phone: '30em', tablet: 768 } });
+    renderToString(() => div({ desktop: { gap: 3 }, phone: { gap: 1 }, tablet: { gap: 2 } }));
+
+    const widths = renderStyles().match(/min-width: [^)]+/g);
+    expect(widths).toEqual(['min-width: 30em', 'min-width: 768px', 'min-width: 1200px']);
+  });
+});
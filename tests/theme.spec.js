@@ -0,0 +1,46 @@
+/**
+ * @jest-environment jsdom
+ */
+import { p, theme, themeMode } from '../lib/src/simplest-v2.js';
+import { renderToString, renderStyles } from '../lib/src/server.js';
+
+const themeText = () => Array.from(document.querySelectorAll('style#simplest-theme'), style =>
+  Array.from(style.sheet.cssRules, rule => rule.cssText).join('\n'));
+
+describe('theme tokens', () => {
+  test('resolve to their default values until a theme is defined', () => {
+    expect(renderToString(() => p('x', { color: 'primary', pad: 'md' })))
+      .toBe('<p style="padding: 16px; color: #007bff;">x</p>');
+    expect(renderStyles()).not.toContain('simplest-theme');
+  });
+
+  test('become CSS custom properties once theme() is called', () => {
+    theme({ colors: { primary: '#ff0000', brandAccent: 'gold' }, dark: { colors: { primary: '#00ff00' } } });
+
+    expect(renderToString(() => p('x', { color: 'primary', bg: 'brandAccent', pad: 'md' })))
+      .toBe('<p style="padding: var(--space-md); background: var(--color-brand-accent); color: var(--color-primary);">x</p>');
+
+    const styles = renderStyles();
+    expect(styles).toContain(':root { --color-primary: #ff0000;');
+    expect(styles).toContain('--color-brand-accent: gold;');
+    expect(styles).toContain(':root[data-theme="dark"] { --color-primary: #00ff00; color-scheme: dark; }');
+    expect(styles).toContain('@media (prefers-color-scheme: dark) { :root:not([data-theme="light"])');
+  });
+
+  test('are updated in place when theme() is called again', () => {
+    theme({ colors: { primary: '#111111' } });
+    theme({ colors: { primary: '#222222' } });
+
+    const sheets = themeText();
+    expect(sheets).toHaveLength(1);
+    expect(sheets[0]).toContain('--color-primary: #222222');
+    expect(sheets[0]).not.toContain('#111111');
+  });
+
+  test('switch mode through the data-theme attribute', () => {
+    themeMode('dark');
+    expect(document.documentElement.getAttribute('data-theme')).toBe('dark');
+    themeMode('system');
+    expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+  });
+});